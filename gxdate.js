@@ -0,0 +1,270 @@
+/* This code is dual licensed under the Unlicense and MIT licenses. 
+ * Specifically, you may use it under the terms of either license,
+ * and may remove the text of the other license (along with this notice)
+ * from your redistribution of this code if you so desire.
+ */
+
+/* UNLICENSE
+ * 
+ * This is free and unencumbered software released into the public domain.
+ * 
+ * Anyone is free to copy, modify, publish, use, compile, sell, or
+ * distribute this software, either in source code form or as a compiled
+ * binary, for any purpose, commercial or non-commercial, and by any
+ * means.
+ * 
+ * In jurisdictions that recognize copyright laws, the author or authors
+ * of this software dedicate any and all copyright interest in the
+ * software to the public domain. We make this dedication for the benefit
+ * of the public at large and to the detriment of our heirs and
+ * successors. We intend this dedication to be an overt act of
+ * relinquishment in perpetuity of all present and future rights to this
+ * software under copyright law.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ * IN NO EVENT SHALL THE AUTHORS BE LIABLE FOR ANY CLAIM, DAMAGES OR
+ * OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ * 
+ * For more information, please refer to <http://unlicense.org/>
+ */
+
+/* The MIT License (MIT)
+ * 
+ * Copyright (c) 2023 Luther Tychonievich
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/* GEDCOM X formal dates, as defined in
+ * <https://github.com/FamilySearch/gedcomx/blob/master/specifications/date-format-specification.md>,
+ * and their conversion to GEDCOM 7 DATE payloads.
+ */
+
+const gxDateSimple = /^(A)?([-+][0-9]{4,})(?:-([0-9]{2})(?:-([0-9]{2})(?:T([0-9]{2})(?::([0-9]{2})(?::([0-9]{2}(?:\.[0-9]+)?))?)?(Z|[-+][0-9]{2}(?::?[0-9]{2})?)?)?)?)?$/
+const gxDuration = /^P(?:([0-9]+)Y)?(?:([0-9]+)M)?(?:([0-9]+)D)?(?:T(?:([0-9]+)H)?(?:([0-9]+)M)?(?:([0-9]+)S)?)?$/
+
+/**
+ * Parses a GEDCOM X formal date.
+ * 
+ * Simple dates become {approximate, year, month, day, hours, minutes, seconds, tz}
+ * with absent parts undefined; year 0 is 1 BCE as in ISO 8601, and a time of 24:00 is 00:00 of the next day.
+ * Durations become {years, months, days, hours, minutes, seconds}.
+ * Ranges become {approximate, start, end, duration} with start and end simple dates or null.
+ * Recurring dates become {recurring, start, end, duration} with recurring the count or null for no limit.
+ * 
+ * An `A` on either endpoint of a range makes the whole range approximate.
+ * 
+ * @param {string} formal - a gx formal date, like "A+1850-03/" or "R3/+1900/P1Y"
+ * @returns {object|null} the parsed date, or null if it is not a valid gx formal date
+ */
+function parseGXDate(formal) {
+  if ('string' != typeof formal) return null
+  const simple = s => {
+    let m = gxDateSimple.exec(s)
+    if (!m) return null
+    let [_, a, Y, M, D, h, mi, sec, tz] = m
+    let ans = {approximate: !!a, year: Number(Y)}
+    if (M) ans.month = Number(M)
+    if (D) ans.day = Number(D)
+    if (h) ans.hours = Number(h)
+    if (mi) ans.minutes = Number(mi)
+    if (sec) ans.seconds = sec
+    if (tz) ans.tz = tz
+    if (M && (ans.month < 1 || ans.month > 12)) return null
+    if (D && (ans.day < 1 || ans.day > new Date(Date.UTC(2000, ans.month, 0)).getUTCDate())) return null
+    if (h && ans.hours > 23 && !(ans.hours == 24 && !Number(mi || 0) && !Number(sec || 0))) return null
+    if (mi && ans.minutes > 59) return null
+    if (sec && Number(sec) >= 61) return null
+    if (tz && tz != 'Z' && (Number(tz.substr(1,2)) > 14 || Number(tz.substr(-2)) > 59)) return null
+    if (ans.hours == 24) { // 24:00 ends a day, so it is 00:00 of the next
+      let t = new Date(0)
+      t.setUTCFullYear(ans.year, ans.month-1, ans.day+1)
+      Object.assign(ans, {year: t.getUTCFullYear(), month: t.getUTCMonth()+1, day: t.getUTCDate(), hours: 0})
+    }
+    return ans
+  }
+  const duration = s => {
+    let m = gxDuration.exec(s)
+    if (!m || s == 'P' || s.endsWith('T')) return null
+    let [Y, M, D, h, mi, sec] = m.slice(1).map(x => x ? Number(x) : 0)
+    return {years: Y, months: M, days: D, hours: h, minutes: mi, seconds: sec}
+  }
+  
+  let s = formal.trim()
+  let m = /^R([0-9]*)\/([^\/]*)\/([^\/]*)$/.exec(s)
+  if (m) {
+    let start = simple(m[2])
+    let end = m[3][0] == 'P' ? null : simple(m[3])
+    let dur = m[3][0] == 'P' ? duration(m[3]) : null
+    if (!start || !(end || dur)) return null
+    return {recurring: m[1] ? Number(m[1]) : null, start, end, duration: dur}
+  }
+  let bits = s.split('/')
+  if (bits.length == 1) return simple(s)
+  if (bits.length != 2) return null
+  let approximate = false
+  if (bits[0][0] == 'A') { approximate = true; bits[0] = bits[0].substr(1) }
+  if (bits[1][0] == 'A') { approximate = true; bits[1] = bits[1].substr(1) }
+  let start = bits[0] ? simple(bits[0]) : null
+  let end = bits[1] && bits[1][0] != 'P' ? simple(bits[1]) : null
+  let dur = bits[1][0] == 'P' ? duration(bits[1]) : null
+  if ((bits[0] && !start) || (bits[1] && !end && !dur) || (!start && !end) || (dur && !start)) return null
+  return {approximate, start, end, duration: dur}
+}
+
+/** true if a parsed gx range or recurring date has an end earlier than its start */
+const endsBeforeStart = d => {
+  if (!d.start || !d.end) return false
+  const lo = s => [s.year, s.month || 1, s.day || 1, s.hours || 0, s.minutes || 0, Number(s.seconds || 0)]
+  const hi = s => [s.year, s.month || 12, s.day || 31, s.hours ?? 23, s.minutes ?? 59, Number(s.seconds ?? 59)]
+  let a = lo(d.start), b = hi(d.end)
+  let i = a.findIndex((n, i) => n != b[i])
+  return i >= 0 && a[i] > b[i]
+}
+
+/**
+ * Converts a GEDCOM X formal date to the parts of a GEDCOM 7 DATE structure.
+ * 
+ * Simple dates map exactly, with times converted to UTC when they have a time zone.
+ * Ranges become BET/AND, AFT, and BEF, or FROM/TO if `period` is set;
+ * a duration as the end of a range is added to its start.
+ * What g7 cannot say, such as an approximate range, a time within a range,
+ * or recurrence, is described in the phrases.
+ * A date that cannot be parsed, or a range that ends before it starts, has no date, a phrase, and a problem.
+ * 
+ * @param {string} formal - a gx formal date
+ * @param {boolean} [period] - if true, ranges are FROM/TO periods rather than BET/AND ranges
+ * @returns {object} `{date, time, phrases, problem}` with the g7 DateValue (or null),
+ *   the g7 Time (or null), an array of text for a PHRASE, and a diagnostic (or null)
+ */
+function gxDateTo7(formal, period) {
+  const months = ['JAN','FEB','MAR','APR','MAY','JUN','JUL','AUG','SEP','OCT','NOV','DEC']
+  const ans = {date: null, time: null, phrases: [], problem: null}
+  let d = parseGXDate(formal)
+  if (!d) {
+    ans.phrases.push('gedcomx date: '+formal)
+    ans.problem = `Cannot parse gedcomx formal date "${formal}"`
+    return ans
+  }
+  if (endsBeforeStart(d)) {
+    ans.phrases.push('gedcomx date: '+formal)
+    ans.problem = `gedcomx formal date "${formal}" ends before it starts`
+    return ans
+  }
+  
+  /** a simple date moved to UTC, if it has a time zone other than Z */
+  const utc = d => {
+    if (!d.tz || d.tz == 'Z') return d
+    let sign = d.tz[0] == '-' ? -1 : 1
+    let t = new Date(0)
+    t.setUTCFullYear(d.year, d.month-1, d.day)
+    t.setUTCHours(d.hours - sign*Number(d.tz.substr(1,2)), (d.minutes || 0) - sign*Number(d.tz.length > 3 ? d.tz.substr(-2) : 0))
+    return {...d, year: t.getUTCFullYear(), month: t.getUTCMonth()+1, day: t.getUTCDate(),
+      hours: t.getUTCHours(), minutes: t.getUTCMinutes(), tz: 'Z'}
+  }
+  /** g7 date (without ABT) and time of a simple date */
+  const oneDate = d => {
+    d = utc(d)
+    let date = (d.day ? d.day+' ' : '') + (d.month ? months[d.month-1]+' ' : '') + (d.year > 0 ? d.year : (1-d.year)+' BCE')
+    if (d.hours === undefined) return [date, null]
+    let time = String(d.hours).padStart(2,'0')+':'+String(d.minutes || 0).padStart(2,'0')+(d.seconds ? ':'+d.seconds : '')
+    return [date, time + (d.tz ? 'Z' : '')]
+  }
+  /** start plus duration, to the precision of start; inexact if duration has smaller units */
+  const plus = (start, dur) => {
+    let inexact = (!start.month && (dur.months || dur.days)) || (!start.day && dur.days)
+      || (start.hours === undefined && (dur.hours || dur.minutes || dur.seconds))
+    let t = new Date(0)
+    t.setUTCFullYear(start.year + dur.years, (start.month || 1) - 1 + (start.month ? dur.months : 0), (start.day || 1) + (start.day ? dur.days : 0))
+    if (start.hours !== undefined) t.setUTCHours(start.hours + dur.hours, (start.minutes || 0) + dur.minutes, Number(start.seconds || 0) + dur.seconds)
+    let end = {year: t.getUTCFullYear()}
+    if (start.month) end.month = t.getUTCMonth()+1
+    if (start.day) end.day = t.getUTCDate()
+    if (start.hours !== undefined) Object.assign(end, {hours: t.getUTCHours(), minutes: t.getUTCMinutes(), tz: start.tz})
+    if (start.seconds !== undefined) end.seconds = String(t.getUTCSeconds()).padStart(2,'0')
+    return [end, inexact]
+  }
+  const every = dur => 'every ' + [['years', dur.years], ['months', dur.months], ['days', dur.days],
+    ['hours', dur.hours], ['minutes', dur.minutes], ['seconds', dur.seconds]].filter(([_, n]) => n).map(([u, n]) => n+' '+u).join(' ')
+  
+  if ('recurring' in d) { // g7 has no recurring dates: the first occurrence and a phrase
+    let times = d.recurring === null ? 'indefinitely' : d.recurring == 1 ? 'once' : d.recurring+' times'
+    let dur = d.duration
+    if (!dur) {
+      let a = utc(d.start), b = utc(d.end)
+      dur = {years: b.year - a.year, months: (b.month || 0) - (a.month || 0), days: (b.day || 0) - (a.day || 0),
+        hours: (b.hours || 0) - (a.hours || 0), minutes: (b.minutes || 0) - (a.minutes || 0), seconds: Number(b.seconds || 0) - Number(a.seconds || 0)}
+    }
+    let [date, time] = oneDate(d.start)
+    ans.date = (d.start.approximate ? 'ABT ' : '') + date
+    ans.time = time
+    ans.phrases.push(`repeats ${times} ${every(dur)}`)
+    return ans
+  }
+  
+  if (!('start' in d)) { // a simple date
+    let [date, time] = oneDate(d)
+    ans.date = (d.approximate ? 'ABT ' : '') + date
+    ans.time = time
+    return ans
+  }
+  
+  let end = d.end, inexact = false
+  if (d.duration) [end, inexact] = plus(d.start, d.duration)
+  let a = d.start && oneDate(d.start)
+  let b = end && oneDate(end)
+  if (d.approximate || inexact || a?.[1] || b?.[1]) ans.phrases.push('gedcomx date: '+formal)
+  if (a && b) ans.date = period ? `FROM ${a[0]} TO ${b[0]}` : `BET ${a[0]} AND ${b[0]}`
+  else if (a) ans.date = period ? `FROM ${a[0]}` : `AFT ${a[0]}`
+  else ans.date = period ? `TO ${b[0]}` : `BEF ${b[0]}`
+  return ans
+}
+
+/**
+ * The earliest and latest day a GEDCOM X formal date could refer to,
+ * as numbers of the form YYYYMMDD that sort chronologically.
+ * Approximate dates are treated as exact; recurring dates start at their first occurrence
+ * and have no latest day.
+ * 
+ * @param {string} formal - a gx formal date
+ * @returns {number[]|null} [earliest, latest], or null if it is not a valid gx formal date or ends before it starts
+ */
+function gxDateBounds(formal) {
+  let d = parseGXDate(formal)
+  if (!d || endsBeforeStart(d)) return null
+  const lo = s => s.year*10000 + (s.month || 1)*100 + (s.day || 1)
+  const hi = s => s.year*10000 + (s.month || 12)*100 + (s.day || 31)
+  if ('recurring' in d) return [lo(d.start), Infinity]
+  if (!('start' in d)) return [lo(d), hi(d)]
+  let end = d.end
+  if (d.duration) {
+    let months = (d.start.month || 1) - 1 + d.duration.months + Math.ceil(d.duration.days / 28)
+    end = {year: d.start.year + d.duration.years + Math.floor(months / 12), month: d.start.month && months % 12 + 1}
+  }
+  return [d.start ? lo(d.start) : -Infinity, end ? hi(end) : Infinity]
+}
+
+// in Node, as a CommonJS module; in a browser these are globals for xto70.js
+if (typeof module != 'undefined' && module.exports) {
+  module.exports = { parseGXDate, gxDateTo7, gxDateBounds }
+}
@@ -0,0 +1,53 @@
+/* This code is dual licensed under the Unlicense and MIT licenses;
+ * see gxdate.js for the text of both.
+ */
+
+/* Tests of gxdate.js; run with npm test. */
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { parseGXDate, gxDateTo7, gxDateBounds } = require('./gxdate.js')
+
+/** gxDateTo7 without the parts that are null or empty */
+const to7 = formal => Object.fromEntries(Object.entries(gxDateTo7(formal)).filter(([k, v]) => v !== null && v.length !== 0))
+
+test('user-012: simple dates, including BCE years', () => {
+  assert.deepStrictEqual(to7('+1950-03-03'), {date: '3 MAR 1950'})
+  assert.deepStrictEqual(to7('A+1950'), {date: 'ABT 1950'})
+  assert.deepStrictEqual(to7('+0000'), {date: '1 BCE'})
+  assert.deepStrictEqual(to7('-0001'), {date: '2 BCE'})
+})
+
+test('user-012: times are converted to UTC, and 24:00 is the start of the next day', () => {
+  assert.deepStrictEqual(to7('+1950-03-03T23:30-05:00'), {date: '4 MAR 1950', time: '04:30Z'})
+  assert.deepStrictEqual(to7('+1950-03-03T24:00'), {date: '4 MAR 1950', time: '00:00'})
+  assert.deepStrictEqual(to7('+1950-12-31T24:00:00Z'), {date: '1 JAN 1951', time: '00:00:00Z'})
+  assert.deepStrictEqual(parseGXDate('+1950-12-31T24:00'), {approximate: false, year: 1951, month: 1, day: 1, hours: 0, minutes: 0})
+})
+
+test('user-012: ranges, durations, and recurring dates', () => {
+  assert.deepStrictEqual(to7('+1900/+1910'), {date: 'BET 1900 AND 1910'})
+  assert.deepStrictEqual(gxDateTo7('+1900/+1910', true).date, 'FROM 1900 TO 1910')
+  assert.deepStrictEqual(to7('/+1910'), {date: 'BEF 1910'})
+  assert.deepStrictEqual(to7('A+1900/'), {date: 'AFT 1900', phrases: ['gedcomx date: A+1900/']})
+  assert.deepStrictEqual(to7('+1900/P10Y'), {date: 'BET 1900 AND 1910'})
+  assert.deepStrictEqual(to7('R3/+1900/P1Y'), {date: '1900', phrases: ['repeats 3 times every 1 years']})
+  assert.deepStrictEqual(gxDateBounds('+1900/+1910'), [19000101, 19101231])
+  assert.deepStrictEqual(gxDateBounds('/+1910'), [-Infinity, 19101231])
+})
+
+test('user-012: invalid dates fall back to a phrase and a problem', () => {
+  for (let formal of ['junk', '+1950-13', '+1950-02-30', '+1950-03-03T25:00', '+1950-03-03T24:30']) {
+    assert.deepStrictEqual(gxDateTo7(formal), {date: null, time: null, phrases: ['gedcomx date: '+formal], problem: `Cannot parse gedcomx formal date "${formal}"`})
+    assert.strictEqual(parseGXDate(formal), null)
+    assert.strictEqual(gxDateBounds(formal), null)
+  }
+})
+
+test('user-012: a range that ends before it starts falls back to a phrase and a problem', () => {
+  for (let formal of ['+1900/+1890', '+1900-01-01T10:00/+1900-01-01T09:00', 'R2/+1900/+1890']) {
+    assert.deepStrictEqual(gxDateTo7(formal), {date: null, time: null, phrases: ['gedcomx date: '+formal], problem: `gedcomx formal date "${formal}" ends before it starts`})
+    assert.strictEqual(gxDateBounds(formal), null)
+  }
+  assert.deepStrictEqual(to7('+1900-05/+1900'), {date: 'BET MAY 1900 AND 1900'}) // ends in the year it starts
+})
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/* This code is dual licensed under the Unlicense and MIT licenses;
+ * see xto70.js for the text of both.
+ */
+
+/* Command-line front end for xto70.js: converts GEDCOM X JSON files to GEDCOM 7.0.
+ * Run with --help for usage.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { GEDCOMXConverter } = require('./xto70.js')
+
+const usage = `Usage: xto7 [options] [file.json ...]
+
+Converts FamilySearch-style GEDCOM X JSON to GEDCOM 7.0.
+With no files, or a file named -, reads from standard input.
+
+  -o, --output PATH          write to PATH instead of standard output;
+                             with several files and no --merge, each file.json
+                             becomes file.ged (or .gdz) in directory PATH, or beside file.json
+  -m, --merge                convert all files into one dataset, unifying persons,
+                             relationships, and sources by their FamilySearch IDs
+      --xrefs MODE           'stable' (the default) or 'counter'
+      --unknown-fact-types T 'EVEN', 'FACT', or 'skip'
+      --fact-types FILE      JSON fact type tables, as for options.factTypes
+      --place-types FILE     JSON place type names, as for options.placeTypes
+      --root ID              only convert the subtree of the person with this FamilySearch ID
+      --direction DIR        'ancestors', 'descendants', 'both', or 'connected' (the default)
+      --generations N        limit --root ancestors and descendants to N generations, counting the root as 1
+      --living MODE          'stub' to replace living persons with a \"Living\" stub,
+                             or 'exclude' to leave them out
+      --strip-restricted     leave out notes, sources, and facts of restricted persons
+      --output-version V     '7.0' (the default) or '5.5.1' for older software
+      --shared-notes         store notes with the same text once, as SNOTE records
+      --gedzip               write a GEDZIP (.gdz) file with data: URI media stored in it
+      --validate             check the output against the GEDCOM 7 structure rules
+      --report FILE          write the JSON coverage report of each input to FILE (- for standard output, with -o)
+      --strict               also exit with status 1 if conversion warnings were reported;
+                             input that cannot be read or converted always does
+  -q, --quiet                do not print errors (the exit status still reflects them)
+  -h, --help                 show this message
+`
+
+/** Parses the command line into {files, output, merge, strict, quiet, report, options} */
+function parseArgs(argv) {
+  let args = {files: [], options: {}}
+  const json = file => JSON.parse(fs.readFileSync(file, 'utf8'))
+  for(let i = 0; i < argv.length; i += 1) {
+    let arg = argv[i], value
+    if (/^--[^=]+=/.test(arg)) [arg, value] = [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=')+1)]
+    const next = () => {
+      if (value !== undefined) return value
+      if (i+1 >= argv.length) throw new Error(arg+' needs a value')
+      return argv[i += 1]
+    }
+    switch(arg) {
+      case '-h': case '--help': args.help = true; break
+      case '-o': case '--output': args.output = next(); break
+      case '-m': case '--merge': args.merge = true; break
+      case '-q': case '--quiet': args.quiet = true; break
+      case '--strict': args.strict = true; break
+      case '--report': args.report = next(); args.options.report = true; break
+      case '--shared-notes': args.options.sharedNotes = true; break
+      case '--gedzip': args.options.gedzip = true; break
+      case '--validate': args.options.validate = true; break
+      case '--xrefs': {
+        let mode = next()
+        if (!['stable','counter'].includes(mode)) throw new Error('--xrefs must be stable or counter, not '+mode)
+        if (mode == 'counter') args.options.xrefs = mode
+        break
+      }
+      case '--unknown-fact-types': {
+        let mode = next()
+        if (!['EVEN','FACT','skip'].includes(mode)) throw new Error('--unknown-fact-types must be EVEN, FACT, or skip, not '+mode)
+        args.options.unknownFactTypes = mode
+        break
+      }
+      case '--root': args.options.subtree = {...args.options.subtree, root: next()}; break
+      case '--direction': {
+        let direction = next()
+        if (!['ancestors','descendants','both','connected'].includes(direction)) throw new Error('--direction must be ancestors, descendants, both, or connected, not '+direction)
+        args.options.subtree = {...args.options.subtree, direction}
+        break
+      }
+      case '--generations': {
+        let generations = Number(next())
+        if (!(generations >= 1) || generations % 1) throw new Error('--generations must be a positive whole number')
+        args.options.subtree = {...args.options.subtree, generations}
+        break
+      }
+      case '--living': {
+        let mode = next()
+        if (!['stub','exclude'].includes(mode)) throw new Error('--living must be stub or exclude, not '+mode)
+        args.options.living = mode
+        break
+      }
+      case '--strip-restricted': args.options.stripRestricted = true; break
+      case '--output-version': {
+        let version = next()
+        if (!['7.0','5.5.1'].includes(version)) throw new Error('--output-version must be 7.0 or 5.5.1, not '+version)
+        if (version == '5.5.1') args.options.outputVersion = version
+        break
+      }
+      case '--fact-types': args.options.factTypes = json(next()); break
+      case '--place-types': args.options.placeTypes = json(next()); break
+      default:
+        if (arg.length > 1 && arg[0] == '-') throw new Error('Unknown option '+arg)
+        args.files.push(arg)
+    }
+  }
+  if (args.options.subtree && !args.options.subtree.root) throw new Error('--direction and --generations need --root')
+  if (args.report == '-' && !args.output) throw new Error('--report - needs --output, as the GEDCOM also goes to standard output')
+  if (args.files.length == 0) args.files.push('-')
+  return args
+}
+
+/** Returns the contents of a file, or all of standard input for - */
+function readInput(file) {
+  return fs.readFileSync(file == '-' ? 0 : file, 'utf8')
+}
+
+function main(argv) {
+  let args
+  try { args = parseArgs(argv) }
+  catch(e) {
+    process.stderr.write('xto7: '+e.message+'\n\n'+usage)
+    return 2
+  }
+  if (args.help) {
+    process.stdout.write(usage)
+    return 0
+  }
+
+  let errors = 0, failed = false, reports = []
+  const reporter = name => (...msg) => {
+    errors += 1
+    if (!args.quiet) process.stderr.write(name+': '+msg.join(' ')+'\n')
+  }
+  const name = file => file == '-' ? '<stdin>' : file
+  /** reports an input that could not be converted at all */
+  const fail = (label, message) => {
+    failed = true
+    reporter(label)(message)
+  }
+
+  // each job is a list of input files that make one output dataset
+  let jobs = args.merge ? [args.files] : args.files.map(f => [f])
+  let toDir = jobs.length > 1
+  if (toDir && args.files.includes('-')) {
+    process.stderr.write('xto7: standard input can only be one of several files with --merge\n')
+    return 2
+  }
+  if (toDir && args.output) fs.mkdirSync(args.output, {recursive: true})
+
+  for(let job of jobs) {
+    let label = job.map(name).join(', ')
+    let converter = new GEDCOMXConverter(reporter(label), args.options)
+    let fed = []
+    try {
+      for(let file of job) {
+        try { converter.feed(JSON.parse(readInput(file))) }
+        catch(e) {
+          fail(name(file), e instanceof SyntaxError || e.code ? e.message : e.stack) // a stack only for converter failures
+          continue
+        }
+        fed.push(name(file))
+      }
+      if (fed.length == 0) continue
+      let g7 = converter.dump()
+      if (args.options.report) converter.report().forEach((r, i) => reports.push({input: fed[i], ...r}))
+      if (toDir) fs.writeFileSync(path.join(args.output || path.dirname(job[0]), path.basename(job[0], '.json')+(args.options.gedzip ? '.gdz' : '.ged')), g7)
+      else if (args.output) fs.writeFileSync(args.output, g7)
+      else process.stdout.write(g7)
+    } catch(e) {
+      fail(label, e.stack || e.message)
+    }
+  }
+
+  if (args.report) {
+    let json = JSON.stringify(reports.length == 1 ? reports[0] : reports, null, 2) + '\n'
+    if (args.report == '-') process.stdout.write(json)
+    else fs.writeFileSync(args.report, json)
+  }
+  return failed || (args.strict && errors > 0) ? 1 : 0
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2))
+
+module.exports = { main, parseArgs }
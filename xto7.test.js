@@ -0,0 +1,65 @@
+/* This code is dual licensed under the Unlicense and MIT licenses;
+ * see xto70.js for the text of both.
+ */
+
+/* Tests of the xto7.js command line; run with npm test. */
+
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xto7-'))
+test.after(() => fs.rmSync(dir, {recursive: true, force: true}))
+
+/** writes a file in the temporary directory, returning its path */
+const file = (name, text) => {
+  fs.writeFileSync(path.join(dir, name), text)
+  return path.join(dir, name)
+}
+/** runs xto7.js with these arguments, returning {status, stdout, stderr} */
+const xto7 = (...args) => spawnSync(process.execPath, [path.join(__dirname, 'xto7.js'), ...args], {encoding: 'utf8', timeout: 60000})
+
+const good = file('good.json', JSON.stringify({persons: [{id: 'P1', names: [{nameForms: [{fullText: 'Ann'}]}]}]}))
+const warns = file('warns.json', JSON.stringify({persons: [{id: 'P1', facts: [{type: 'http://example.com/Odd'}]}]}))
+
+test('user-017: a good file converts to standard output with exit status 0', () => {
+  let {status, stdout, stderr} = xto7(good)
+  assert.strictEqual(status, 0)
+  assert.strictEqual(stderr, '')
+  assert.match(stdout, /^0 HEAD\n[\s\S]*\n1 NAME Ann\n0 TRLR\n$/)
+})
+
+test('user-017: input that cannot be read, parsed, or converted exits with status 1, even without --strict', () => {
+  for (let input of [path.join(dir, 'missing.json'), file('bad.json', '{'), file('null.json', 'null')]) {
+    let {status, stderr} = xto7(input)
+    assert.strictEqual(status, 1, input)
+    assert.ok(stderr.startsWith(input+': '), stderr)
+  }
+  let {status, stdout} = xto7('--merge', good, path.join(dir, 'missing.json'))
+  assert.strictEqual(status, 1)
+  assert.match(stdout, /1 NAME Ann/) // the files that could be read are still converted
+})
+
+test('user-017: conversion warnings only change the exit status with --strict', () => {
+  assert.strictEqual(xto7(warns).status, 0)
+  let {status, stderr} = xto7('--strict', '--quiet', warns)
+  assert.strictEqual(status, 1)
+  assert.strictEqual(stderr, '')
+})
+
+test('user-017: bad options exit with status 2 and the usage', () => {
+  for (let args of [['--nonsense'], ['--xrefs', 'random', good], ['--report', '-', good]]) {
+    let {status, stderr} = xto7(...args)
+    assert.strictEqual(status, 2, args.join(' '))
+    assert.match(stderr, /^xto7: .*\n\nUsage: xto7/)
+  }
+})
+
+test('user-017: several files become one .ged each in the output directory', () => {
+  let out = path.join(dir, 'out')
+  assert.strictEqual(xto7('-o', out, good, warns).status, 0)
+  assert.deepStrictEqual(fs.readdirSync(out).sort(), ['good.ged', 'warns.ged'])
+})
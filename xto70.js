@@ -55,12 +55,183 @@
  * THE SOFTWARE.
  */
 
+/**
+ * The gx fact types with a known g7 representation, by the kind of g7 structure
+ * they become: etags are g7 events, atags are g7 attributes, evens become EVEN
+ * with TYPE, facts become FACT with TYPE, and exts become the given extension tag
+ * with the fact type as its URI. The EVEN and FACT TYPE payloads are
+ * the descriptions from the gx specification. qualifiers are the fact qualifiers
+ * that become a substructure of the fact with the given tag.
+ * 
+ * This is the default registry; GEDCOMXConverter's options.factTypes adds to or overrides it.
+ */
+const gxFactTypes = {
+  person: {
+    etags: {
+      // individual events
+      "http://gedcomx.org/Adoption": "ADOP",
+      "http://gedcomx.org/Baptism": "BAPM",
+      "http://gedcomx.org/BarMitzvah": "BARM",
+      "http://gedcomx.org/BatMitzvah": "BASM",
+      "http://gedcomx.org/Birth": "BIRT",
+      "http://gedcomx.org/Blessing": "BLES",
+      "http://gedcomx.org/Burial": "BURI",
+      "http://gedcomx.org/Census": "CENS",
+      "http://gedcomx.org/Christening": "CHR",
+      "http://gedcomx.org/AdultChristening": "CHRA",
+      "http://gedcomx.org/Confirmation": "CONF",
+      "http://gedcomx.org/Cremation": "CREM",
+      "http://gedcomx.org/Death": "DEAT",
+      "http://gedcomx.org/Emigration": "EMIG",
+      "http://gedcomx.org/FirstCommunion": "FCOM",
+      "http://gedcomx.org/Graduation": "GRAD",
+      "http://gedcomx.org/Immigration": "IMMI",
+      "http://gedcomx.org/Naturalization": "NATU",
+      "http://gedcomx.org/Ordination": "ORDN",
+      "http://gedcomx.org/Probate": "PROB",
+      "http://gedcomx.org/Retirement": "RETI",
+      "http://gedcomx.org/Will": "WILL",
+    },
+    atags: {
+      "http://gedcomx.org/Caste": "CAST",
+      "http://gedcomx.org/PhysicalDescription": "DSCR",
+      "http://gedcomx.org/Education": "EDUC",
+      "http://gedcomx.org/NationalId": "IDNO",
+      "http://gedcomx.org/NumberOfChildren": "NCHI",
+      "http://gedcomx.org/NumberOfMarriages": "NMR",
+      "http://gedcomx.org/Occupation": "OCCU",
+      "http://gedcomx.org/Property": "PROP",
+      "http://gedcomx.org/Religion": "RELI",
+      "http://gedcomx.org/Residence": "RESI",
+      "http://familysearch.org/v1/TitleOfNobility": "TITL",
+    },
+    evens: {
+      "http://gedcomx.org/Amnesty": "A person's amnesty.",
+      "http://gedcomx.org/Arrest": "A person's arrest.",
+      "http://gedcomx.org/BirthNotice": "A person's birth notice, such as posted in a newspaper or other publishing medium.",
+      "http://gedcomx.org/Circumcision": "A person's circumcision.",
+      "http://gedcomx.org/Court": "The appearance of a person in a court proceeding.",
+      "http://gedcomx.org/EducationEnrollment": "A person's enrollment in an educational program or institution.",
+      "http://gedcomx.org/Enslavement": "The enslavement of a person.",
+      "http://gedcomx.org/Excommunication": "A person's excommunication from a church.",
+      "http://gedcomx.org/Funeral": "A person's funeral.",
+      "http://gedcomx.org/GenderChange": "A person's gender change.",
+      "http://gedcomx.org/Imprisonment": "A person's imprisonment.",
+      "http://gedcomx.org/Inquest": "A legal inquest. Inquests usually only occur when there’s something suspicious about the death. Inquests might in some instances lead to a murder investigation. Most people that die have a death certificate wherein a doctor indicates the cause of death and often indicates when the decedent was last seen by that physician; these require no inquest.",
+      "http://gedcomx.org/LandTransaction": "A land transaction enacted by a person.",
+      "http://gedcomx.org/MilitaryAward": "A person's military award.",
+      "http://gedcomx.org/MilitaryDischarge": "A person's military discharge.",
+      "http://gedcomx.org/MilitaryDraftRegistration": "A person's registration for a military draft.",
+      "http://gedcomx.org/MilitaryInduction": "A person's military induction.",
+      "http://gedcomx.org/Mission": "A person's church mission.",
+      "http://gedcomx.org/MoveFrom": "A person's move (i.e., change of residence) from a location.",
+      "http://gedcomx.org/MoveTo": "A person's move (i.e., change of residence) to a new location.",
+      "http://gedcomx.org/MultipleBirth": "A fact that a person was born as part of a multiple birth (e.g., twin, triplet, etc.).",
+      "http://gedcomx.org/Pardon": "A person's legal pardon.",
+      "http://gedcomx.org/Retirement": "A person's retirement.",
+      "http://gedcomx.org/Stillbirth": "A person's stillbirth.",
+      "http://gedcomx.org/TaxAssessment": "A person's tax assessment.",
+      "http://gedcomx.org/Visit": "A person's visit to a place different from the person's residence.",
+      "http://gedcomx.org/Yahrzeit": "A person's yahrzeit date. A person's yahrzeit is the anniversary of their death as measured by the Hebrew calendar.",
+    },
+    facts: {
+      "http://gedcomx.org/AncestralHall": "A person's ancestral hall. An ancestral hall refers to a location where the early ancestors of the person originated. It may also refer to the name of an early ancestor. Family clans are often distinguished one from another by the ancestral hall. Clans that cannot prove direct relationships to other clans with the same surname can assume a direct relationship if they share the same ancestral hall.",
+      "http://gedcomx.org/AncestralPoem": "A person's ancestral poem. An ancestral poem (or generation poem) is composed of the \"generation characters\" that are to be used when choosing names for the members of different generations of an extended family. Ancestral poems are prominent in Asian countries, particularly China.",
+      "http://gedcomx.org/Apprenticeship": "A person's apprenticeship.",
+      "http://gedcomx.org/Award": "A person's award (medal, honor).",
+      "http://gedcomx.org/Branch": "A person's branch within an extended clan.",
+      "http://gedcomx.org/Clan": "A person's clan.",
+      "http://gedcomx.org/Ethnicity": "A person's ethnicity.",
+      "http://gedcomx.org/GenerationNumber": "A person's generation number, indicating the number of generations the person is removed from a known \"first\" ancestor.",
+      "http://gedcomx.org/Heimat": "A person's heimat. \"Heimat\" refers to a person's affiliation by birth to a specific geographic place. Distinct heimaten are often useful as indicators that two persons of the same name are not likely to be closely related genealogically. In English, \"heimat\" may be described using terms like \"ancestral home\", \"homeland\", or \"place of origin\".",
+      "http://gedcomx.org/Language": "A language spoken by a person.",
+      "http://gedcomx.org/Living": "A record of a person's living for a specific period. This is designed to include \"flourish\", defined to mean the time period in an adult's life where he was most productive, perhaps as a writer or member of the state assembly. It does not reflect the person's birth and death dates.",
+      "http://gedcomx.org/MaritalStatus": "A person's marital status.",
+      "http://gedcomx.org/Medical": "A person's medical record, such as for an illness or hospital stay.",
+      "http://gedcomx.org/MilitaryService": "A person's military service.",
+      "http://gedcomx.org/Nationality": "A person's nationality.",
+      "http://gedcomx.org/Obituary": "A person's obituary.",
+      "http://gedcomx.org/OfficialPosition": "A person's official (government) position.",
+      "http://gedcomx.org/Race": "The declaration of a person's race, presumably in a historical document.",
+      "http://gedcomx.org/Tribe": "A person's tribe.",
+      "http://familysearch.org/v1/LifeSketch": "Life sketch",
+    },
+    exts: {
+    },
+    qualifiers: {
+      "http://gedcomx.org/Age": "AGE",
+      "http://gedcomx.org/Cause": "CAUS",
+      "http://gedcomx.org/Religion": "RELI",
+    },
+  },
+  couple: {
+    etags: {
+      "http://gedcomx.org/Annulment": "ANUL",
+      "http://gedcomx.org/Census": "CENS",
+      "http://gedcomx.org/Divorce": "DIV",
+      "http://gedcomx.org/DivorceFiling": "DIVF",
+      "http://gedcomx.org/Engagement": "ENGA",
+      "http://gedcomx.org/MarriageBanns": "MARB",
+      "http://gedcomx.org/MarriageContract": "MARC",
+      "http://gedcomx.org/MarriageLicense": "MARL",
+      "http://gedcomx.org/Marriage": "MARR",
+      // no gx parallel for MARS
+    },
+    atags: {
+      "http://gedcomx.org/Residence": "RESI",
+      "http://gedcomx.org/NumberOfChildren": "NCHI",
+    },
+    evens: {
+      "http://gedcomx.org/CommonLawMarriage": "A marriage by common law.",
+      "http://gedcomx.org/CivilUnion": "A civil union of a couple.",
+      "http://gedcomx.org/DomesticPartnership": "A domestic partnership of a couple.",
+      "http://gedcomx.org/MarriageNotice": "A marriage notice.",
+      "http://gedcomx.org/Separation": "A couple's separation.",
+    },
+    facts: {
+    },
+    exts: {
+    },
+    qualifiers: {
+      "http://gedcomx.org/Cause": "CAUS",
+      "http://gedcomx.org/Religion": "RELI",
+    },
+  },
+}
+
 /**
  * Given a FamilySearch-style GEDCOM X object
  * as returned by JSON.parse(gedcomx.json),
  * returns a GEDCOM 7.0 string.
  * 
- * This function is built in a fairly ad-hoc manner, looking through a few
+ * This is a convenience wrapper around a single-use GEDCOMXConverter;
+ * see that function to combine the results of several API calls.
+ * 
+ * @param {object} gx - the a GEDOMX dataset parsed from JSON format
+ * @param {function} error - a vararg function accepting error messages; for example, `console.error`
+ * @param {object} [options] - as for GEDCOMXConverter
+ * @returns {string|Uint8Array|object} a corresponding GEDCOM 7.0 dataset (a GEDZIP file if `options.gedzip` is set,
+ *   or its records if `options.tree` is set),
+ *   or `{gedcom, report}` with the coverage report if `options.report` is set
+ */
+function GEDCOMXTo7(gx, error, options) {
+  let converter = new GEDCOMXConverter(error, options)
+  converter.feed(gx)
+  if (options?.report) return {gedcom: converter.dump(), report: converter.report()[0]}
+  return converter.dump()
+}
+
+/**
+ * Creates a stateful converter that can be given several
+ * FamilySearch-style GEDCOM X objects, one at a time, with `feed(gx)`
+ * and will then produce a single GEDCOM 7.0 string with `dump()`.
+ * 
+ * Persons, relationships, and sources are unified by their FamilySearch IDs
+ * (the same IDs that appear in EXID and UID substructures of the output),
+ * so feeding a pedigree, person details, and sources from separate API calls
+ * results in one INDI, FAM, or SOUR per FamilySearch ID.
+ * 
+ * This code is built in a fairly ad-hoc manner, looking through a few
  * example files provided via the FamilySearch Family Tree API and periodically
  * consulting the gedcomx specification
  * <https://github.com/FamilySearch/gedcomx/tree/master/specifications>
@@ -70,17 +241,52 @@
  * <https://gedcom.io/specifications/FamilySearchGEDCOMv7.html>
  * but not very often; it passes validators for me on examples so far,
  * but may be able to emit non-conformant files in principle
- * such as a relocated standard structure not using an extension tag
- * or structures missing required substructures.
+ * such as structures missing required substructures.
+ * Standard structures placed where g7 does not allow them use extension tags
+ * documented as relocated standard structures in HEAD.SCHMA.
  * 
- * @param {object} gx - the a GEDOMX dataset parsed from JSON format
  * @param {function} error - a vararg function accepting error messages; for example, `console.error`
- * @returns {string} a corresponding GEDCOM 7.0 dataset
+ * @param {object} [options]
+ * @param {boolean} [options.report] - track which parts of each gx object were converted, for `report()`
+ * @param {boolean} [options.validate] - check the output of `dump()` with validateG7, reporting problems to `error`
+ * @param {object} [options.factTypes] - fact type mappings like gxFactTypes, such as
+ *   `{person: {facts: {"http://familysearch.org/v1/Foo": "Foo"}}}`; each type given replaces its gxFactTypes mapping
+ * @param {string} [options.xrefs] - 'counter' for xrefs numbered in the order records are first pointed to
+ *   and records in the order they were created; by default xrefs come from FamilySearch IDs, like `@I_KWCB_XYZ@`
+ *   for person KWCB-XYZ, and records are sorted by type and xref
+ * @param {object} [options.placeTypes] - jurisdiction names for place types, by type URI or FamilySearch place type ID,
+ *   used for PLAC.FORM when a PlaceDescription lacks FamilySearch's `display.type`
+ *   and no other place fed with the same FamilySearch place type ID has one
+ * @param {string|function} [options.unknownFactTypes] - what to do with fact types with no mapping:
+ *   'EVEN' or 'FACT' to use that tag with the type URI as its TYPE (EVEN for facts with no value), 'skip' to omit the fact,
+ *   or a function given the type URI and 'person' or 'couple' returning a one-entry mapping
+ *   like `{exts: '_FOO'}` or null to omit the fact.
+ *   If not given, such facts are reported to `error` and become EVEN.
+ * @param {object} [options.subtree] - `{root, direction, generations}` to dump only part of the tree:
+ *   the person with FamilySearch ID `root` and their 'ancestors', 'descendants' (with their spouses), 'both',
+ *   or everyone 'connected' to them by family links (the default); `generations`, counting the root as generation 1,
+ *   limits ancestors and descendants. Only the records those people and families point to are included.
+ * @param {string} [options.living] - 'stub' to replace living persons with an INDI with only the name "Living" and family links,
+ *   or 'exclude' to leave them out along with families that have fewer than two members left;
+ *   either way, the events of couples with a living spouse are left out too
+ * @param {boolean} [options.stripRestricted] - leave out the notes, source citations, and facts of persons
+ *   that FamilySearch marks as not `visibleToAll` or as `privateSpaceRestricted`
+ * @param {boolean} [options.sharedNotes] - make NOTEs with the same text in several places into one SNOTE record
+ * @param {string} [options.outputVersion] - '5.5.1' for `dump()` to return GEDCOM 5.5.1, made by GEDCOM7To551
+ * @param {boolean} [options.gedzip] - for `dump()` to return a GEDZIP file as a Uint8Array, made by GEDZIP,
+ *   with media from data: URIs and `options.media` stored in it
+ * @param {object|Map} [options.media] - already-fetched media as Uint8Arrays, keyed by URL, for `options.gedzip`
+ * @param {boolean} [options.tree] - for `dump()` to return the records, including HEAD and TRLR, as `{tag, id, payload, subs}` trees
+ *   instead of a string, to change before writing them with writeG7
+ * @returns {object} an object with `feed(gx)`, `dump()`, and `report()` methods
  */
-function GEDCOMXTo7(gx, error) {
+function GEDCOMXConverter(error, options) {
+  if (!new.target) return new GEDCOMXConverter(error, options)
   
   if (!error) error = (...args) => {}
-  const xlinks = {}
+  if (!options) options = {}
+  /** gx objects by '#'+id; resolving one reads its id, so the coverage report counts ids only linked to as consumed */
+  const xlinks = new Proxy({}, {get: (t, k) => { void t[k]?.id; return t[k] }})
   const xlinkMaker = e => {
     if ('object' != typeof(e)) return
     if (Array.isArray(e)) e.forEach(xlinkMaker)
@@ -89,7 +295,6 @@ function GEDCOMXTo7(gx, error) {
       Object.values(e).forEach(xlinkMaker)
     }
   }
-  xlinkMaker(gx)
   
   function g7s(tag, payload, ...substructures) {
     if (!new.target) return new g7s(tag, payload, ...substructures)
@@ -120,170 +325,463 @@ function GEDCOMXTo7(gx, error) {
     return self+'\n'+this.subs.map(s => s.toString(level+1)).join('')
   }
   g7s.prototype.add = function(...subs) { this.subs.push(...subs.filter(x=>x)) }
+  /** like add, but skips substructures identical to one already present */
+  g7s.prototype.merge = function(...subs) {
+    let have = new Set(this.subs.map(String))
+    subs.filter(x=>x).forEach(s => {
+      if (!have.has(String(s))) { have.add(String(s)); this.subs.push(s) }
+    })
+  }
   
   const parseDataURL = uri => {
     // fetch(uri).then(r=>r.text()).then(...)
     let [_, mt, b, d] = /data:([^;,]+)?(;base64)?,([\s\S]*)/.exec(uri)
-    d = decodeURI(d)
+    d = decodeURIComponent(d) // GEDCOM7ToX writes these with encodeURIComponent
     if (b == ';base64') d = atob(d)
     return d
   }
   
   
-  let records = {}
-  let header = g7s('HEAD', null, g7s('GEDC',null, g7s('VERS','7.0')))
-  let extensions = []
-  let trailer = g7s('TRLR')
+  /* Coverage report: with options.report, each gx object fed is wrapped in
+   * Proxies that note every leaf value read while converting it. Reading a value
+   * marks it consumed; approximated() marks values that went into a NOTE or PHRASE
+   * instead of a structure with the same meaning. Leaves never read are ignored.
+   */
+  const coverage = [] // {gx, status} for each feed; status maps JSON pointer to how it was used
+  const tracked = Symbol('coverage')
+  let reading = true // false while building indexes, which are not conversion
+  const pointer = k => String(k).replace(/~/g,'~0').replace(/\//g,'~1')
+  const track = (gx, status) => {
+    const proxies = new WeakMap()
+    const wrap = (o, path) => {
+      if (!proxies.has(o)) proxies.set(o, new Proxy(o, {get: (t, k, r) => {
+        if (k === tracked) return {path, status}
+        let v = Reflect.get(t, k, r)
+        if ('symbol' == typeof k || !Object.hasOwn(t, k) || (Array.isArray(t) && k == 'length')) return v
+        if (v && 'object' == typeof v) return wrap(v, path+'/'+pointer(k))
+        if (reading && !status.has(path+'/'+pointer(k))) status.set(path+'/'+pointer(k), 'consumed')
+        return v
+      }}))
+      return proxies.get(o)
+    }
+    return wrap(gx, '')
+  }
+  /** marks values of a gx object as represented only approximately, in a NOTE or PHRASE */
+  const approximated = (o, ...keys) => {
+    let t = o?.[tracked]
+    if (t) keys.forEach(k => { if (k in o) t.status.set(t.path+'/'+pointer(k), 'approximated') })
+  }
   
-  let frag = {}
-  Object.values(gx).forEach(v => {if (Array.isArray(v)) v.forEach(o => {if (o.id) frag[o.id] = o})})
-
-  const simple = /^(A)?([-+][0-9]{4})(?:-([0-9]{2})(?:-([0-9]{2})(?:T([0-9]{2})(?::([0-9]{2})(?::([0-9]{2}(?:.[0-9]{3})))?)?([-+][0-9]{2}(?::[0-9]{2})?|Z)?)?)?)?$/
-  const duration = /^P(?:([0-9]+)Y)?(?:([0-9]+)M)?(?:([0-9]+)D)?(?:T(?:([0-9]+)H)?(?:([0-9]+)M)?(?:([0-9]+)S)?)?$/
-  const months = {'01':'JAN','02':'FEB','03':'MAR','04':'APR','05':'MAY','06':'JUN','07':'JUL','08':'AUG','09':'SEP','10':'OCT','11':'NOV','12':'DEC'}
-  const oneDate = d => {
-    let [_,a,Y,M,D,h,m,s,z] = simple.exec(d)
-    if (D && D.length == 2 && D[0] == '0') D = D[1]
-    Y = Number(Y)
-    let epoch = ''
-    if (Y <= 0) { Y = 1-Y; epoch = ' BCE' }
-    let date = (a?'ABT ':'')+(D?D+' ':'')+(M?months[M]+' ':'')+Y+epoch
-    if (!h) return [date,false,false]
-    let time = h+':'+(m?m:'00')+(s?':'+s:'')
-    if (z == 'Z') return [date, time+'Z', false]
-    else return [date, time, 'Time zone '+z]
+  /** marks values of a gx object that were read but could not be converted, so they are reported as ignored */
+  const unconverted = (o, ...keys) => {
+    let t = o?.[tracked]
+    if (t) keys.forEach(k => t.status.delete(t.path+'/'+pointer(k)))
   }
   
+  /**
+   * Returns a coverage report for each gx object fed so far, if `options.report` was set.
+   * Each has `paths`, mapping the JSON pointer of every leaf value in the gx object to
+   * "consumed", "approximated" (went into a NOTE or PHRASE), or "ignored",
+   * and `totals`, counting those for each property path with array indices replaced by `*`.
+   * @returns {object[]} one `{paths, totals}` per call to `feed`
+   */
+  this.report = () => coverage.map(({gx, status}) => {
+    let paths = {}, totals = {}
+    const walk = (o, path, pattern) => {
+      if (o && 'object' == typeof o) Object.entries(o).forEach(([k,v]) =>
+        walk(v, path+'/'+pointer(k), pattern+'/'+(Array.isArray(o) ? '*' : pointer(k))))
+      else {
+        let how = status.get(path) || 'ignored'
+        paths[path] = how
+        if (!(pattern in totals)) totals[pattern] = {consumed:0, approximated:0, ignored:0}
+        totals[pattern][how] += 1
+      }
+    }
+    walk(gx, '', '')
+    return {paths, totals}
+  })
+  
+  let records = {}
+  
+  /* Extension tags used so far, each with the URI documenting it, for HEAD.SCHMA.
+   * Tags are only ever added through extensionTag so no tag has two meanings.
+   */
+  const extensionTags = {}
+  /**
+   * Returns the tag to use for the extension with the given URI,
+   * preferring tag but choosing another if tag already has a different URI.
+   */
+  const extensionTag = (tag, uri) => {
+    let found = Object.keys(extensionTags).find(t => extensionTags[t] == uri)
+    if (found) return found
+    if (tag in extensionTags) {
+      let n = 2
+      while (tag+n in extensionTags) n += 1
+      error(`Extension tag ${tag} already means ${extensionTags[tag]}; using ${tag+n} for ${uri}`)
+      tag = tag+n
+    }
+    extensionTags[tag] = uri
+    return tag
+  }
+  const extensionURI = 'https://github.com/gedcom7code/xto7/blob/main/extensions.md#'
+  /** tag for one of the extensions documented in extensions.md */
+  const ext = tag => extensionTag(tag, extensionURI+tag.toLowerCase())
+  /** tag for a standard structure used where the standard does not allow it */
+  const relocated = tag => extensionTag('_'+tag, 'https://gedcom.io/terms/v7/'+tag)
+
   const doDate = (d, period) => {
     if (typeof(d) == 'number') d = '+'+(new Date(d).toJSON()).replace('+-00','-')
     if (typeof(d) == 'object') {
       if ('formal' in d) {
-        let ans = doDate(d.formal)
-        if (ans.subs.filter(x=>x.tag == 'PHRASE').length > 0) {
-          ans.subs.filter(x=>x.tag == 'PHRASE')[0].payload = d.original
-        } else {
-          if ('original' in d) ans.add(g7s('PHRASE', d.original))
+        let ans = doDate(d.formal, period)
+        if (!ans.payload) approximated(d, 'formal') // could not be parsed, so only in a PHRASE
+        if (d.original) { // the original text replaces any phrase about the formal date
+          let phrase = ans.subs.find(x => x.tag == 'PHRASE')
+          if (phrase) phrase.payload = String(d.original)
+          else ans.add(g7s('PHRASE', d.original))
+          approximated(d, 'original')
         }
         return ans
       }
       if ('original' in d) {
+        approximated(d, 'original')
         return g7s('DATE', null, g7s('PHRASE', d.original))
       } else return null
     }
-    let bits = d.split('/')
-    let phrases = []
-    if (bits.length > 3) return g7s('DATE',null,g7s('PHRASE','unsupported gedcomx data: '+d))
-    if (bits.length == 3) {
-      // recurring
-      let times = bits[0].substr(1)
-      if (times.length == 0) times = 'indefinitely'
-      else if (times == '1') times = 'once'
-      else times += ' times'
-      if (bits[2][0] == 'P') {
-        let [_, Y, M, D, h, m, s]  = duration.exec(bits[2])
-        phrases.push(`repeats ${times} every ${Y?Y+' years ':''}${M?M+' months ':''}${D?D+' days ':''}${h?h+' hours ':''}${m?m+' minutes ':''}${s?s+' seconds ':''}`.trim())
-      } else {
-        let a = simple.exec(bits[1]).slice(1,7).map(_ => _?Number(_):0)
-        let b = simple.exec(bits[2]).slice(1,7).map(_ => _?Number(_):0)
-        let [Y,M,D,h,m,s] = a.map((v,i) => b[i]-v)
-        phrases.push(`repeats ${times} every ${Y?Y+' years ':''}${M?M+' months ':''}${D?D+' days ':''}${h?h+' hours ':''}${m?m+' minutes ':''}${s?s+' seconds ':''}`.trim())
-      }
-      bits = [bits[1]]
-    } // no else: fall through to length 1
-    if (bits.length == 2) {
-      if (bits[0].length > 0 && bits[0][0] == 'A') {
-        phrases.push('gedcomx date: '+d)
-        bits[0] = bits[0].substr(1)
-      }
-      let sd = bits[0].length > 0 ? oneDate(bits[0]) : false
-      let ed = bits[1].length > 0 ? oneDate(bits[1]) : false
-      if (sd?.[2] && ed?.[2]) phrases.push('Starting in '+sd[2]+'; ending in '+ed[2])
-      else if (sd?.[2] || ed?.[2]) phrases.push(sd?.[2] || ed?.[2])
-      if (sd?.[1] || ed?.[1]) phrases.push('gedcomx date: '+d)
-      let phrase = phrases.length > 0 ? g7s('PHRASE', phrases.join('\n')) : null
-      if (period) {
-        if (sd && ed) return g7s('DATE',`FROM ${sd[0]} TO ${ed[0]}`, phrase)
-        else if (sd)  return g7s('DATE',`FROM ${sd[0]}`, phrase)
-        else if (ed)  return g7s('DATE',`TO ${ed[0]}`, phrase)
-        else return g7s('DATE',null,g7s('PHRASE','gedcomx date: '+d))
-      } else {
-        if (sd && ed) return g7s('DATE',`BET ${sd[0]} AND ${ed[0]}`, phrase)
-        else if (sd)  return g7s('DATE',`AFT ${sd[0]}`, phrase)
-        else if (ed)  return g7s('DATE',`BEF ${ed[0]}`, phrase)
-        else return g7s('DATE',null,g7s('PHRASE','gedcomx date: '+d))
-      }
-    } else { // bits.length == 1
-      let od = oneDate(bits[0])
-      if (od[2]) phrases.push(od[2])
-      let phrase = phrases.length > 0 ? g7s('PHRASE', phrases.join('\n')) : null
-      let time = od[1] ? g7s('TIME', od[1]) : null
-      
-      return g7s('DATE', od[0], time, phrase)
+    let {date, time, phrases, problem} = gxDateTo7(d, period)
+    if (problem) error(problem)
+    return g7s('DATE', date, time && g7s('TIME', time), phrases.length > 0 && g7s('PHRASE', phrases.join('\n')))
+  }
+  
+  const doContacts = agent => {
+    let ans = []
+    agent.addresses?.slice(0,1).forEach(a => {
+      let lines = a.value || [a.street, a.street2, a.street3, a.city, a.stateOrProvince, a.postalCode, a.country].filter(x=>x).join('\n')
+      if (lines) ans.push(g7s('ADDR', lines,
+        a.city && g7s('CITY', a.city),
+        a.stateOrProvince && g7s('STAE', a.stateOrProvince),
+        a.postalCode && g7s('POST', a.postalCode),
+        a.country && g7s('CTRY', a.country),
+      ))
+    })
+    agent.phones?.forEach(e => ans.push(g7s('PHON', e.resource.replace(/^tel:/,''))))
+    agent.emails?.forEach(e => ans.push(g7s('EMAIL', e.resource.replace(/^mailto:/,''))))
+    if (agent.homepage) ans.push(g7s('WWW', agent.homepage.resource))
+    return ans
+  }
+  const doRepository = ref => {
+    let agent = xlinks[ref.resource] || xlinks['#'+ref.resourceId]
+    let key = agent ? '#'+agent.id : ref.resource
+    let ans = records[key] || g7s('REPO', null, g7s('NAME', agent?.names?.[0]?.value || ref.resource))
+    if (agent) ans.merge(...doContacts(agent))
+    if (agent) doChange(ans, agent.attribution)
+    return records[key] = ans
+  }
+  
+  const agentOf = ref => xlinks[ref.resource] || xlinks['#'+ref.resourceId]
+  /** fills in the SNOTE record for a FamilySearch discussion, once: its title, details, and comments */
+  const describeDiscussion = (ans, d) => {
+    if (ans.described) return
+    ans.described = true // not displayed, just for later merges
+    let text = [d.title, d.details].filter(x => x).join('\n\n')
+    d.comments?.forEach(c => {
+      let who = (c.contributor && agentOf(c.contributor)?.names?.[0]?.value) || c.contributor?.resourceId || 'unknown'
+      let when = c.created ? ' on '+new Date(c.created).toISOString().slice(0, 10) : ''
+      text += `\n\nComment by ${who}${when}:\n${c.text}`
+    })
+    ans.payload = text
+    ans.subs = [doMime(text), d.lang && g7s('LANG', d.lang)].filter(x => x)
+    doChange(ans, {contributor: d.contributor, created: d.created, modified: d.modified})
+  }
+  /** SNOTE record for a reference to a FamilySearch discussion; just its URL until the discussion is fed */
+  const doDiscussion = ref => {
+    let id = ref.resourceId || ref.resource.replace(/.*\//, '')
+    let ans = records['#'+id] || g7s('SNOTE', ref.resource || id)
+    let d = xlinks['#'+id]
+    if (d) describeDiscussion(ans, d)
+    return records['#'+id] = ans
+  }
+  /** SUBM record for a contributor; a stub named by its ID until its agent is fed */
+  const doSubmitter = ref => {
+    let agent = agentOf(ref)
+    let key = 'SUBM#'+(agent?.id || ref.resourceId || ref.resource)
+    let ans = records[key] || g7s('SUBM', null, g7s('NAME', ref.resourceId || ref.resource))
+    if (agent && !ans.described) {
+      ans.described = true // not displayed, just for later merges
+      ans.subs = [g7s('NAME', agent.names?.[0]?.value || agent.id), ...doContacts(agent)]
     }
+    return records[key] = ans
+  }
+  /** SUBM, CREA, and CHAN of a record, keeping the earliest creation and latest change seen so far;
+   * only INDI and FAM records can have a SUBM, so other records get an _ATTR pointing to it instead
+   */
+  const doChange = (rec, attribution, modified) => {
+    if (attribution?.contributor) rec.merge(g7s(['INDI','FAM'].includes(rec.tag) ? 'SUBM' : ext('_ATTR'), doSubmitter(attribution.contributor)))
+    modified = Math.max(modified || 0, attribution?.modified || 0)
+    if (modified > (rec.modified || 0)) { // not displayed, just for later merges
+      rec.modified = modified
+      rec.changeMessage = attribution?.modified == modified ? attribution.changeMessage : null
+    }
+    if (attribution?.created && !(rec.created <= attribution.created)) rec.created = attribution.created
+    rec.subs = rec.subs.filter(s => s.tag != 'CHAN' && s.tag != 'CREA')
+    if (rec.created) rec.add(g7s('CREA', null, doDate(rec.created)))
+    if (rec.modified) rec.add(g7s('CHAN', null, doDate(rec.modified), rec.changeMessage && g7s('NOTE', rec.changeMessage)))
+  }
+  /** attribution of structures other than records, which g7 has no place for */
+  const doAttribution = attribution => {
+    if (!attribution) return null
+    let ans = g7s('_ATTR', attribution.contributor ? doSubmitter(attribution.contributor) : null,
+      attribution.created && g7s('CREA', null, doDate(attribution.created)),
+      attribution.modified && g7s('CHAN', null, doDate(attribution.modified), attribution.changeMessage && g7s('NOTE', attribution.changeMessage)),
+    )
+    if (!ans.payload && ans.subs.length == 0) return null
+    ans.tag = ext('_ATTR')
+    return ans
   }
 
+  const anyURI = 'http://www.w3.org/2001/XMLSchema#anyURI'
+  /** the lowercase UUID in an identifier, if it is one, for UID */
+  const uuidOf = v => /^(?:urn:uuid:)?([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i.exec(v)?.[1].toLowerCase()
+  /** EXID, UID, and REFN for a gx identifiers map, with idType the EXID type of this kind of FamilySearch ID, if any.
+   * Deprecated identifiers are IDs merged into this one, kept so references to them still resolve.
+   */
+  const doIdentifiers = (identifiers, idType) => Object.entries(identifiers || {}).flatMap(([type, values]) => [].concat(values).map(v => {
+    let uuid = uuidOf(v)
+    let fsid = idType && /familysearch\.org\/(?:ark:\/61903\/[0-9]:[0-9]:|platform\/(?:[a-z-]+\/)+)([A-Z0-9-]+)$/.exec(v)
+    if (type == 'http://gedcomx.org/Persistent' && uuid) return g7s('UID', uuid)
+    if (type == 'http://gedcomx.org/Deprecated' && fsid) return g7s('EXID', fsid[1], g7s('TYPE', idType))
+    if (/^[a-z][a-z0-9+.-]*:/i.test(v)) return g7s('EXID', v, g7s('TYPE', anyURI))
+    if (idType && ['http://gedcomx.org/Persistent', 'http://gedcomx.org/Primary', 'http://gedcomx.org/Deprecated'].includes(type))
+      return g7s('EXID', v, g7s('TYPE', idType))
+    return g7s('REFN', v, type != '$' && g7s('TYPE', type.replace(/.*\//, '').replace(/([a-z])([A-Z])/g, '$1 $2')))
+  }))
+  /** WWW for the pages in a gx links map; portraits are OBJE instead */
+  const doLinks = links => Object.entries(links || {})
+    .filter(([rel, link]) => rel != 'portrait' && link.href)
+    .map(([rel, link]) => g7s(relocated('WWW'), link.href))
   
+  const descriptionOf = s => xlinks['#'+s.descriptionId] || xlinks[s.description]
+  /** fills in a SOUR record from its gx sourceDescription, once */
+  const describeSource = (ans, sd) => {
+    if (ans.described) return
+    ans.described = true // not displayed, just for later merges
+    if (sd.titles?.length) ans.add(g7s('TITL', sd.titles[0].value))
+    let fields = sd.citations?.flatMap(c => c.fields || []) || []
+    let authors = fields.filter(f => /author/i.test(f.name)).map(f => f.value)
+    sd.authors?.forEach(ref => authors.push((xlinks[ref.resource] || xlinks['#'+ref.resourceId])?.names?.[0]?.value))
+    if (authors.filter(x=>x).length) ans.add(g7s('AUTH', authors.filter(x=>x).join('; ')))
+    let publisher = (sd.publisher && (xlinks[sd.publisher.resource] || xlinks['#'+sd.publisher.resourceId])?.names?.[0]?.value)
+      || fields.find(f => /publish/i.test(f.name))?.value
+    // the full citation gx gives as one string is this source's publication facts
+    let citation = sd.citations?.map(c => c.value).filter(x => x).join('\n')
+    if (publisher || citation) ans.add(g7s('PUBL', publisher || citation))
+    if (publisher && citation) ans.add(g7s('NOTE', citation))
+    if (sd.repository) ans.add(g7s('REPO', doRepository(sd.repository)))
+    // a note that is a transcription of the source is its TEXT
+    let text = sd.notes?.find(n => /transcri|text|extract/i.test(n.subject || ''))
+    if (text) ans.add(g7s('TEXT', text.text, text.lang && g7s('LANG', text.lang), doMime(text.text)))
+    sd.notes?.forEach(n => { if (n !== text) ans.add(doNote(n)) })
+    sd.sources?.forEach(s => { if (isMedia(descriptionOf(s))) ans.add(doCitation(s)) })
+    if (sd.about && /^https?:/.test(sd.about)) ans.add(g7s(relocated('WWW'), sd.about))
+    else if (sd.about && sd.about[0] != '#') ans.add(g7s('EXID', sd.about, g7s('TYPE', anyURI)))
+    ans.merge(...doIdentifiers(sd.identifiers, 'https://gedcom.io/exid-type/FamilySearch-SourceDescriptionId'), ...doLinks(sd.links))
+    doChange(ans, sd.attribution)
+  }
   const doSource = s => {
-    if (records[s.id]) return records[s.id]
-    let ans = g7s('SOUR')
-    if (s.id) ans.add(g7s('UID',s.id))
-    if (s.descriptionId) ans.add(g7s('EXID',s.descriptionId,g7s('TYPE','https://gedcom.io/exid-type/FamilySearch-SourceDescriptionId')))
-    return records[s.id] = ans
+    // one SOUR per source description, even if referenced from several feeds
+    let key = s.descriptionId ? '#'+s.descriptionId : s.id
+    let ans = records[key] || g7s('SOUR')
+    if (s.id) ans.merge(g7s('UID',s.id))
+    if (s.descriptionId) ans.merge(g7s('EXID',s.descriptionId,g7s('TYPE','https://gedcom.io/exid-type/FamilySearch-SourceDescriptionId')))
+    if (descriptionOf(s)) describeSource(ans, descriptionOf(s))
+    return records[key] = ans
+  }
+  /** gx resource types that are media files rather than sources, with their g7 MEDI */
+  const mediaTypes = {
+    'http://gedcomx.org/Image': 'PHOTO',
+    'http://gedcomx.org/DigitalArtifact': 'ELECTRONIC',
+  }
+  const isMedia = sd => sd?.resourceType in mediaTypes && !!sd.about && !isStory(sd)
+  /** story memories, which are text rather than media files; FamilySearch marks them with an artifactType */
+  const isStory = sd => sd?.resourceType == 'http://gedcomx.org/Story' || !!sd?.artifactMetadata?.some(a => /^story$/i.test(a.artifactType))
+  /** SNOTE record for a story memory, filled in once */
+  const doStory = sd => {
+    if (records['#'+sd.id]) return records['#'+sd.id]
+    let text = sd.descriptions?.map(t => t.value).join('\n\n') || sd.about || ''
+    let title = sd.titles?.[0]?.value
+    let ans = g7s('SNOTE', title ? title+':\n\n'+text : text,
+      doMime(text, sd.mediaType),
+      sd.descriptions?.[0]?.lang && g7s('LANG', sd.descriptions[0].lang),
+    )
+    doChange(ans, sd.attribution)
+    return records['#'+sd.id] = ans
+  }
+  /** MIME type from a file name's extension, for media without a gx mediaType */
+  const guessMime = url => ({
+    jpg:'image/jpeg', jpeg:'image/jpeg', png:'image/png', gif:'image/gif', tif:'image/tiff', tiff:'image/tiff',
+    pdf:'application/pdf', txt:'text/plain', html:'text/html', mp3:'audio/mpeg', mp4:'video/mp4',
+  })[/\.([a-z0-9]+)(?:[?#].*)?$/i.exec(url)?.[1].toLowerCase()]
+  /** OBJE record for a media sourceDescription, filled in once */
+  const doMedia = sd => {
+    if (records['#'+sd.id]) return records['#'+sd.id]
+    let ans = g7s('OBJE', null, g7s('FILE', sd.about,
+      g7s('FORM', sd.mediaType || guessMime(sd.about) || /^data:([^;,]+)/.exec(sd.about)?.[1] || 'application/octet-stream', g7s('MEDI', mediaTypes[sd.resourceType])),
+      sd.titles?.length && g7s('TITL', sd.titles[0].value),
+    ))
+    records['#'+sd.id] = ans
+    ans.merge(...doIdentifiers(sd.identifiers, 'https://gedcom.io/exid-type/FamilySearch-SourceDescriptionId'))
+    sd.descriptions?.forEach(t => ans.add(g7s('NOTE', t.value, t.lang && g7s('LANG', t.lang))))
+    sd.notes?.forEach(n => ans.add(doNote(n)))
+    sd.sources?.forEach(s => { if (!isMedia(descriptionOf(s))) ans.add(doCitation(s)) })
+    doChange(ans, sd.attribution)
+    return ans
+  }
+  /** OBJE record for a portrait URL, like FamilySearch's links.portrait */
+  const doPortrait = href => {
+    if (!records[href]) records[href] = g7s('OBJE', null, g7s('FILE', href,
+      g7s('FORM', guessMime(href) || 'image/jpeg', g7s('MEDI', 'PHOTO')))) // FamilySearch portraits are JPEG
+    return records[href]
+  }
+  /** OBJE link to a media sourceDescription, with CROP from a pixel RectangleRegion qualifier */
+  const doMediaLink = (s, sd, tag) => {
+    let ans = g7s(tag, doMedia(sd))
+    let q = s.qualifiers?.find(q => q.name == 'http://gedcomx.org/RectangleRegion')
+    let region = q?.value?.split(',').map(Number)
+    if (region?.length == 4 && region.every(n => n >= 0) && region.every(n => n <= 1)) { // fractions of the image; CROP is in pixels
+      let size = [sd, ...(sd.artifactMetadata || [])].find(a => a.width > 0 && a.height > 0)
+      if (size) region = region.map((n, i) => Math.round(n * (i % 2 ? size.height : size.width)))
+      else {
+        error(`Cannot crop ${sd.about} to region ${q.value}: the image size is unknown`)
+        unconverted(q, 'value')
+        region = null
+      }
+    }
+    if (region?.length == 4 && region.every(n => Number.isInteger(n) && n >= 0)) {
+      let [x1, y1, x2, y2] = region
+      ans.add(g7s('CROP', null, g7s('TOP', String(y1)), g7s('LEFT', String(x1)), g7s('HEIGHT', String(y2-y1)), g7s('WIDTH', String(x2-x1))))
+    }
+    return ans
+  }
+  const quay = {
+    'http://gedcomx.org/High': '3',
+    'http://gedcomx.org/Medium': '2',
+    'http://gedcomx.org/Low': '1',
+  }
+  /** SOURCE_CITATION for source reference s of conclusion c,
+   * or an OBJE link (_OBJE if relocate is set) if it refers to a media file
+   */
+  const doCitation = (s, c, relocate) => {
+    let sd = descriptionOf(s)
+    if (isMedia(sd)) return doMediaLink(s, sd, relocate ? relocated('OBJE') : 'OBJE')
+    if (isStory(sd)) return g7s('SNOTE', doStory(sd))
+    let page = s.qualifiers?.find(q => /page$/i.test(q.name))?.value // the description's own citation is in its SOUR record
+    let text = sd?.descriptions?.map(t => g7s('TEXT', t.value, t.lang && g7s('LANG', t.lang))) || []
+    return g7s('SOUR', doSource(s),
+      page && g7s('PAGE', page),
+      text.length && g7s('DATA', null, ...text),
+      c?.confidence in quay && g7s('QUAY', quay[c.confidence]),
+      doAttribution(s.attribution),
+    )
+  }
+  /** MIME for note text in HTML or markdown, from its gx mediaType or the look of the text */
+  const doMime = (text, mediaType) => {
+    let type = /^text\/(html|markdown)\b/.exec(mediaType || '')
+    if (type) return g7s('MIME', type[0])
+    if (/<(p|br|div|span|b|i|em|strong|a|ul|ol|li|h[1-6])\b[^>]*>/i.test(text || '')) return g7s('MIME', 'text/html')
+    return null
   }
   const doNote = note => {
     let ans = g7s('NOTE', note.text)
     if ('lang' in note) ans.add(g7s('LANG',note.lang))
+    ans.add(doMime(note.text))
     if ('subject' in note) ans.payload = note.subject+':\n\n'+ans.payload
-    // to do: handle attribution (perhaps via change log or signature?)
+    approximated(note, 'subject')
+    ans.add(doAttribution(note.attribution))
     return ans
   }
-  const doPlace = place => {
-    let exid = null, kml = null, map = null
-    let ptr = xlinks[place.description]
+  /** PlaceDescriptions by the URI of the place they describe, for finding the one valid at a date */
+  const placeVersions = {}
+  /** of the descriptions of the same place as desc, the one valid at date if there is one */
+  const placeAt = (desc, date) => {
+    let when = gxDateBounds(date?.formal)
+    let versions = placeVersions[desc?.place?.resource]
+    if (!when || !versions) return desc
+    const valid = d => {
+      let b = gxDateBounds(d.temporalDescription?.formal)
+      return b && b[0] <= when[1] && when[0] <= b[1]
+    }
+    if (valid(desc)) return desc
+    return versions.find(valid) || desc
+  }
+  /** FamilySearch place type names by type ID, from every PlaceDescription fed that has both */
+  const placeTypeNames = {}
+  /** the jurisdiction type of a PlaceDescription, from options.placeTypes, FamilySearch's display type,
+   * or the display type of another place with the same FamilySearch place type ID
+   */
+  const placeType = desc => {
+    let types = options.placeTypes || {}
+    let t = desc.type
+    if (t in types) return types[t]
+    if (t?.replace(/.*\//, '') in types) return types[t.replace(/.*\//, '')]
+    if (desc.display?.type) return desc.display.type
+    if (/[0-9]+$/.exec(t)?.[0] in placeTypeNames) return placeTypeNames[/[0-9]+$/.exec(t)[0]]
+    if (t && !/[0-9]$/.test(t)) return t.replace(/.*\//, '') // like http://gedcomx.org/City
+    return ''
+  }
+  const doPlace = (place, date) => {
+    let kml = null, map = null
+    let ptr = placeAt(xlinks[place.description], date)
+    let first = ptr
     let orig = place.original
     let pay = {'':[]}
     let form = []
     let ans = null
     while(ptr) {
-      pay[''].push(ptr.names[0].value)
-      ptr.names.forEach(tv => {
+      pay[''].push(ptr.names?.[0]?.value || '')
+      ptr.names?.forEach(tv => {
         let lang = tv.lang || 'und'
         if (!(lang in pay)) pay[lang] = []
         while(pay[lang].length+1 < pay[''].length) pay[lang].push('')
         if (pay[lang].length < pay[''].length) pay[lang].push(tv.value)
       })
-      if (form && ptr.type) form.push(ptr.type)
-      else form = false
-      if (!exid && ptr.place) exid = ptr.place
+      form.push(placeType(ptr))
       if (!kml && ptr.spatialDescription) kml = ptr.spatialDescription
       if (!map && ptr.latitude && ptr.longitude) map = ptr
-      ptr = xlinks[ptr.description]
+      ptr = placeAt(xlinks[ptr.jurisdiction?.resource] || xlinks[ptr.description], date)
     }
-    if (pay[''].length > 0) {
-      // can we find language of preferred form?
-      let lang = '';
-      Object.entries(pay).forEach(([l,v])=>{
-        if (l != '' && lang == '' && v == pay[''].join(', ')) lang=l;
-      })
+    if (pay[''].some(x => x)) {
+      // levels with no name in a language use the preferred name
+      const inLang = l => pay[''].map((x, i) => pay[l][i] || x).join(', ')
       ans = g7s('PLAC', pay[''].join(', '))
-      if (lang != '') ans.add(g7s('LANG',lang))
-      if (form) ans.add(g7s('FORM', form.join(', ')))
-      Object.entries(pay).forEach(([l,v])=>{
-        if (l != '' && l != lang)
-          ans.add(g7s('TRAN', v.join(', '), g7s('LANG', l)))
+      // can we find language of preferred form?
+      let lang = Object.keys(pay).find(l => l != '' && inLang(l) == ans.payload)
+      if (lang && lang != 'und') ans.add(g7s('LANG',lang))
+      if (form.every(x => x)) ans.add(g7s('FORM', form.join(', '))) // not with an empty jurisdiction
+      Object.keys(pay).forEach(l => {
+        if (l != '' && l != 'und' && inLang(l) != ans.payload)
+          ans.add(g7s('TRAN', inLang(l), g7s('LANG', l)))
       })
-      if (orig && orig != ans.payload) ans.add(g7s('NOTE',orig))
-    } else {
+      if (orig && orig != ans.payload) {
+        ans.add(g7s('NOTE',orig))
+        approximated(place, 'original')
+      }
+    } else if (orig) {
       ans = g7s('PLAC', orig)
+    } else {
+      if (map) error(`Place ${place.description} has coordinates (${map.latitude}, ${map.longitude}) but no name`)
+      return null
     }
-    if (exid) {
-      ans.add(g7s('EXID', exid, g7s('TYPE','http://www.w3.org/2001/XMLSchema#anyURI')))
+    let uri = first?.place?.resource
+    if (uri) {
+      let fsid = /familysearch\.org\/platform\/places\/([0-9]+)$/.exec(uri)
+      if (fsid) ans.add(g7s('EXID', fsid[1], g7s('TYPE','https://gedcom.io/exid-type/FamilySearch-PlaceId')))
+      else ans.add(g7s('EXID', uri, g7s('TYPE', anyURI)))
     }
     if (kml) {
       if (!(kml in records)) {
-        records[kml] = g7s('OBJE',null,g7s('FILE',kml, g7s('MEDI','application/vnd.google-earth.kml+xml')))
+        records[kml] = g7s('OBJE',null,g7s('FILE',kml, g7s('FORM','application/vnd.google-earth.kml+xml')))
       }
-      ans.add(g7s('_OBJE', records[kml]))
+      ans.add(g7s(relocated('OBJE'), records[kml]))
     }
     if (map) {
       ans.add(g7s('MAP',null,
@@ -291,44 +789,69 @@ function GEDCOMXTo7(gx, error) {
         g7s('LONG',(map.longitude<0?'W':'E')+Math.abs(map.longitude)),
       ))
     }
-    if (place.description) { // guess; check this
-      ans.add(g7s('EXID',place.description.substr(1),g7s('TYPE','https://gedcom.io/exid-type/FamilySearch-PlaceId')))
-    }
     return ans
   }
   
   
+  /** the index of word in text at or after from, preferring whole-word matches */
+  const wordAt = (text, word, from) => {
+    for(let at = text.indexOf(word, from); at >= 0; at = text.indexOf(word, at+1))
+      if (!/[\p{L}\p{M}]/u.test(text[at-1] || '') && !/[\p{L}\p{M}]/u.test(text[at+word.length] || '')) return at
+    return text.indexOf(word, from)
+  }
+  const partTags = {
+    'http://gedcomx.org/Prefix': 'NPFX',
+    'http://gedcomx.org/Suffix': 'NSFX',
+    'http://gedcomx.org/Given': 'GIVN',
+    'http://gedcomx.org/Surname': 'SURN',
+  }
   const doNameForm = (name, tag) => {
     let txt = ''
     if (name.fullText) {
-      txt = name.fullText.replace(/\//g,"\uFF0F")
-      if (name.parts) name.parts.forEach(p => {
-        if (p.type == 'http://gedcomx.org/Surname')
-          txt = txt.replace(p.value, '/'+p.value+'/')
+      // find each part in order, so "Anna Annason" slashes the surname, not the start of the given name
+      let start = null, end = null, from = 0
+      name.parts?.forEach(p => {
+        if (!p.value) return
+        let at = wordAt(name.fullText, p.value, from)
+        if (at < 0) at = wordAt(name.fullText, p.value, 0)
+        if (at < 0) return
+        from = at + p.value.length
+        if (p.type == 'http://gedcomx.org/Surname') {
+          if (start === null || at < start) start = at
+          if (end === null || from > end) end = from
+        }
       })
+      txt = name.fullText.replace(/\//g,"\uFF0F")
+      if (start !== null) txt = txt.slice(0, start)+'/'+txt.slice(start, end)+'/'+txt.slice(end)
     } else {
       txt = name.parts.map(e => e.type == 'http://gedcomx.org/Surname' ? '/'+e.value+'/' : e.value).join(' ')
+      txt = txt.replace(/\/(\s*)\//g, '$1')
+      while(txt.replace(/[^\/]+/g,'').length > 2)
+        txt = txt.replace(/\//,'')
     }
-    txt = txt.replace(/\/(\s*)\//g, '$1')
-    while(txt.replace(/[^\/]+/g,'').length > 2)
-      txt = txt.replace(/\//,'')
     let ans = g7s(tag, txt)
     if (name.parts) name.parts.forEach(part => {
-      if (part.type == 'http://gedcomx.org/Prefix')
-        ans.add(g7s('NPFX', part.value))
-      else if (part.type == 'http://gedcomx.org/Suffix')
-        ans.add(g7s('NSFX', part.value))
-      else if (part.type == 'http://gedcomx.org/Given') {
-        ans.add(g7s('GIVN', part.value))
-        if (part.qualifiers?.map(x=>x.name == 'http://gedcomx.org/Primary').reduce((x,y) => x || y)) ans.add(g7s('_RUFNAM', part.value))
-      }
-      else if (part.type == 'http://gedcomx.org/Surname')
-        ans.add(g7s('SURN', part.value))
-      else if (part.qualifiers?.map(x=>x.name == 'http://gedcomx.org/Familiar').reduce((x,y) => x || y)) ans.add(g7s('NICK', part.value))
-      // many other name qualifiers exist, but have no parallel in g7
+      let quals = (part.qualifiers || []).map(q => q.name)
+      let piece = partTags[part.type]
+      if (piece == 'SURN' && quals.includes('http://gedcomx.org/Particle')) piece = 'SPFX'
+      else if (!piece && quals.includes('http://gedcomx.org/Familiar')) piece = 'NICK'
+      else if (!piece && quals.includes('http://gedcomx.org/Title')) piece = 'NPFX'
+      if (!piece) return
+      let used = {
+        SPFX: 'http://gedcomx.org/Particle',
+        NICK: 'http://gedcomx.org/Familiar',
+        GIVN: 'http://gedcomx.org/Primary',
+      }[piece]
+      let ps = g7s(piece, part.value)
+      // other qualifiers, like Patronymic or Title, have no parallel in g7
+      part.qualifiers?.forEach(q => {
+        if (q.name != used) ps.add(g7s(ext('_QUAL'), q.name.replace('http://gedcomx.org/','') + (q.value ? ' '+q.value : '')))
+      })
+      ans.add(ps)
+      if (piece == 'GIVN' && quals.includes(used)) ans.add(g7s(ext('_RUFNAM'), part.value))
     })
     if (name.lang) {
-      if (tag == 'NAME') ans.add(g7s('_LANG', name.lang))
+      if (tag == 'NAME') ans.add(g7s(relocated('LANG'), name.lang))
       else ans.add(g7s('LANG', name.lang))
     } else if (tag == 'TRAN') {
       ans.add(g7s('LANG','und'))
@@ -348,28 +871,29 @@ function GEDCOMXTo7(gx, error) {
       case 'http://gedcomx.org/AlsoKnownAs':
         ans.add(g7s('TYPE','AKA')); break;
       case 'http://gedcomx.org/Nickname':
-        ans.add(g7s('TYPE','AKA', g7s('PHRASE','Nickname'))); break;
+        ans.add(g7s('TYPE','AKA', g7s('PHRASE','Nickname'))); approximated(name, 'type'); break;
         break;
       case 'http://gedcomx.org/AdoptiveName':
-        ans.add(g7s('TYPE','OTHER', g7s('PHRASE','Adoptive name'))); break;
+        ans.add(g7s('TYPE','OTHER', g7s('PHRASE','Adoptive name'))); approximated(name, 'type'); break;
         break;
       case 'http://gedcomx.org/FormalName':
-        ans.add(g7s('TYPE','OTHER', g7s('PHRASE','Formal name'))); break;
+        ans.add(g7s('TYPE','OTHER', g7s('PHRASE','Formal name'))); approximated(name, 'type'); break;
         break;
       case 'http://gedcomx.org/ReligiousName':
-        ans.add(g7s('TYPE','OTHER', g7s('PHRASE','Religious name'))); break;
+        ans.add(g7s('TYPE','OTHER', g7s('PHRASE','Religious name'))); approximated(name, 'type'); break;
         break;
     }
     if (name.date) {
       let d = doDate(name.date)
-      if (d) { d.tag = '_DATE'; ans.add(d) }
+      if (d) { d.tag = relocated('DATE'); ans.add(d) }
     }
-    name.sources?.forEach(s => ans.add(g7s('SOUR', doSource(s))))
-    if ('lang' in name && !ans.subs.map(s => s.tag == '_LANG').reduce((x,y)=>x||y)) {
-      ans.add(g7s('_LANG', name.lang))
+    name.sources?.forEach(s => ans.add(doCitation(s, name, true)))
+    if ('lang' in name && !ans.subs.some(s => s.tag == relocated('LANG'))) {
+      ans.add(g7s(relocated('LANG'), name.lang))
     }
     name.notes?.forEach(n => ans.add(doNote(n)))
-    // to do: other conclusion fields like id, contributor, etc
+    ans.add(doAttribution(name.attribution))
+    // to do: other conclusion fields like id, etc
     return ans
   }
 
@@ -382,40 +906,47 @@ function GEDCOMXTo7(gx, error) {
   
   /** INDI records */
   const doPerson = p => {
-    let me = records['#'+p.id] || g7s('INDI', null, g7s('EXID', p.id, g7s('TYPE','https://gedcom.io/exid-type/FamilySearch-PersonId')))
+    let old = records['#'+p.id]
+    let me = g7s('INDI', null, g7s('EXID', p.id, g7s('TYPE','https://gedcom.io/exid-type/FamilySearch-PersonId')))
     let modified = 0
     let didLiving = false
     
     // fix me: evidence
     
+    /** notes which single-valued part of the person a substructure is, so a later feed of the same person replaces it */
+    const only = (s, key) => { s.only = key; return s } // not displayed
+    /** notes the gx id a substructure came from, or that it had none, so a later feed of the same person replaces it */
+    const withId = (s, o) => { if (s && o.id) s.gxId = o.id; else if (s) s.idless = true; return s } // not displayed
+    
     if (p.gender) { // SEX
-      switch(p.gender.type) {
-        case 'http://gedcomx.org/Male': me.add(g7s('SEX','M')); break
-        case 'http://gedcomx.org/Female': me.add(g7s('SEX','F')); break
-        case 'http://gedcomx.org/Unknown': me.add(g7s('SEX','U')); break
-        case 'http://gedcomx.org/Intersex': me.add(g7s('SEX','X')); break
-        default: me.add(g7s('FACT', p.gender.type, g7s('TYPE', 'Gender'))); break
-      }
+      let sex = {
+        'http://gedcomx.org/Male': 'M',
+        'http://gedcomx.org/Female': 'F',
+        'http://gedcomx.org/Unknown': 'U',
+        'http://gedcomx.org/Intersex': 'X',
+      }[p.gender.type]
+      me.add(only(withId(sex ? g7s('SEX',sex) : g7s('FACT', p.gender.type, g7s('TYPE', 'Gender')), p.gender), 'SEX'))
       if (p.gender.modified && p.gender.modified > modified) modified = p.gender.modified
     }
     
-    // fix me: links
+    let portrait = p.links?.portrait?.href && doPortrait(p.links.portrait.href)
+    if (portrait) me.add(g7s('OBJE', portrait))
+    me.add(...doLinks(p.links))
     
-    p.sources?.forEach(s => me.add(g7s('SOUR', doSource(s))))
+    p.sources?.forEach(s => me.add(doCitation(s, p)))
     
-    // fix me: identifiers
+    me.merge(...doIdentifiers(p.identifiers, 'https://gedcom.io/exid-type/FamilySearch-PersonId'))
     
-    p.names?.forEach(n => me.add(doName(n))) // NAME
+    // the first NAME is the preferred one in g7
+    p.names?.filter(n => n.preferred).forEach(n => me.add(withId(doName(n), n))) // NAME
+    p.names?.filter(n => !n.preferred).forEach(n => me.add(withId(doName(n), n)))
     p.names?.forEach(n => { if (n.attribution?.modified) modified = Math.max(modified, n.attribution.modified) })
     
-    p.facts?.forEach(f => me.add(doIndividualFact(f)))
+    p.facts?.forEach(f => me.add(withId(doIndividualFact(f), f)))
     
-    if (p.display?.ascendancyNumber) gennumber[p.display.ascendancyNumber] = me
-    if (p.display?.descendancyNumber) gennumber[p.display.descendancyNumber] = me
-    // fix me: rest of display
-
-    p.notes?.forEach(n => me.add(doNote(n)))
-    // fix me: rest of conclusion: confidence, attribution, etc
+    p.notes?.forEach(n => me.add(withId(doNote(n), n)))
+    p['discussion-references']?.forEach(ref => me.add(g7s('SNOTE', doDiscussion(ref))))
+    // fix me: rest of conclusion: confidence, etc
     
     
     if (p.personInfo) { // RESN
@@ -423,17 +954,41 @@ function GEDCOMXTo7(gx, error) {
       let bits = []
       if (tmp.readOnly) bits.push('LOCKED')
       if (!tmp.visibleToAll) bits.push('PRIVACY','CONFIDENTIAL')
-      else if (tmp.privateSpaceRestricted) bits.add('CONFIDENTIAL')
-      if (bits.length > 0) me.add(g7s('RESN', bits.join(', ')))
+      else if (tmp.privateSpaceRestricted) bits.push('CONFIDENTIAL')
+      if (bits.length > 0) me.add(only(g7s('RESN', bits.join(', ')), 'RESN'))
     }
     
     if (!didLiving) { // 1 DEAT Y   or   1 NO DEAT
-      if (p.living === false) me.add(g7s('DEAT', 'Y'))
-      else if (p.living) me.add(g7s('NO','DEAT'))
+      if (p.living === false) me.add(only(g7s('DEAT', 'Y'), 'living'))
+      else if (p.living) me.add(only(g7s('NO','DEAT'), 'living'))
+    }
+    if (old) { // seen in an earlier feed or as a relationship endpoint
+      // names, facts, and notes without a gx id cannot be matched, so this feed's replace the earlier ones;
+      // so do SEX, RESN, and DEAT Y or NO DEAT, which there can be only one of
+      let decided = [p.gender && 'SEX', p.personInfo && 'RESN', 'living' in p && 'living']
+      old.subs = old.subs.filter(o => !o.idless && !(o.only && decided.includes(o.only) && !me.subs.some(s => s.only == o.only)))
+      me.subs.forEach(s => { // a name, fact, or note with the same gx id is a newer version of it
+        let i = old.subs.findIndex(o => (s.gxId && o.gxId == s.gxId) || (s.only && o.only == s.only))
+        if (i >= 0) old.subs[i] = s
+        else old.merge(s)
+      })
+      me = old
+    }
+    if (portrait) { // the first OBJE is the primary one
+      let link = me.subs.find(s => s.tag == 'OBJE' && s.payload === portrait)
+      me.subs.splice(me.subs.indexOf(link), 1)
+      let at = me.subs.findIndex(s => s.tag == 'OBJE')
+      me.subs.splice(at < 0 ? me.subs.length : at, 0, link)
     }
-    if (modified) me.add(g7s('CHAN',null,doDate(modified)))
+    doChange(me, p.attribution, modified)
     records['#'+p.id] = me
     me.resourceId = p.id // not displayed, just for local interlinks
+    if ('living' in p) me.living = p.living // these two are for options.living and options.stripRestricted
+    if (p.personInfo?.some(i => i.visibleToAll === false || i.privateSpaceRestricted)) me.restricted = true
+
+    if (p.display?.ascendancyNumber) gennumber[p.display.ascendancyNumber] = me
+    if (p.display?.descendancyNumber) gennumber[p.display.descendancyNumber] = me
+    // fix me: rest of display
   }
 
   
@@ -450,209 +1005,327 @@ function GEDCOMXTo7(gx, error) {
     return ans
   }
   
-  const doIndividualFact = f => {
-    const etags = {
-      // individual events
-      "http://gedcomx.org/Adoption": "ADOP",
-      "http://gedcomx.org/Baptism": "BAPM",
-      "http://gedcomx.org/BarMitzvah": "BARM",
-      "http://gedcomx.org/BatMitzvah": "BASM",
-      "http://gedcomx.org/Birth": "BIRT",
-      "http://gedcomx.org/Blessing": "BLES",
-      "http://gedcomx.org/Burial": "BURI",
-      "http://gedcomx.org/Census": "CENS",
-      "http://gedcomx.org/Christening": "CHR",
-      "http://gedcomx.org/AdultChristening": "CHRA",
-      "http://gedcomx.org/Confirmation": "CONF",
-      "http://gedcomx.org/Cremation": "CREM",
-      "http://gedcomx.org/Death": "DEAT",
-      "http://gedcomx.org/Emigration": "EMIG",
-      "http://gedcomx.org/FirstCommunion": "FCOM",
-      "http://gedcomx.org/Graduation": "GRAD",
-      "http://gedcomx.org/Immigration": "IMMI",
-      "http://gedcomx.org/Naturalization": "NATU",
-      "http://gedcomx.org/Ordination": "ORDN",
-      "http://gedcomx.org/Probate": "PROB",
-      "http://gedcomx.org/Retirement": "RETI",
-      "http://gedcomx.org/Will": "WILL",
+  /* fact type registry: gxFactTypes, with each type in options.factTypes replacing its default mapping */
+  const factTypes = {}
+  Object.entries(gxFactTypes).forEach(([kind, tables]) => {
+    factTypes[kind] = Object.fromEntries(Object.entries(tables).map(([k, table]) => [k, {...table}]))
+    Object.entries(options.factTypes?.[kind] || {}).forEach(([k, table]) => {
+      if (!(k in factTypes[kind])) return error(`Unknown fact type table ${kind}.${k}`)
+      Object.entries(table).forEach(([type, v]) => {
+        if (k != 'qualifiers') Object.entries(factTypes[kind]).forEach(([k2, t]) => { if (k2 != 'qualifiers') delete t[type] })
+        factTypes[kind][k][type] = v
+      })
+    })
+  })
+  /** the mapping for a fact type with none in the registry, per options.unknownFactTypes; added to the registry */
+  const unknownFactType = (type, kind) => {
+    let policy = options.unknownFactTypes
+    let entry
+    if ('function' == typeof policy) entry = policy(type, kind)
+    else if (policy == 'skip') entry = null
+    else if (policy == 'FACT') entry = {facts: type}
+    else {
+      if (policy != 'EVEN') error(`Unknown ${kind} fact type: ${type}`)
+      entry = {evens: type}
     }
-    const atags = {
-      "http://gedcomx.org/Caste": "CAST",
-      "http://gedcomx.org/PhysicalDescription": "DSCR",
-      "http://gedcomx.org/Education": "EDUC",
-      "http://gedcomx.org/NationalId": "IDNO",
-      "http://gedcomx.org/NumberOfChildren": "NCHI",
-      "http://gedcomx.org/NumberOfMarriages": "NMR",
-      "http://gedcomx.org/Occupation": "OCCU",
-      "http://gedcomx.org/Property": "PROP",
-      "http://gedcomx.org/Religion": "RELI",
-      "http://gedcomx.org/Residence": "RESI",
-      "http://familysearch.org/v1/TitleOfNobility": "TITL",
-    }
-    const evens = {
-      "http://gedcomx.org/Amnesty": "A person's amnesty.",
-      "http://gedcomx.org/Arrest": "A person's arrest.",
-      "http://gedcomx.org/BirthNotice": "A person's birth notice, such as posted in a newspaper or other publishing medium.",
-      "http://gedcomx.org/Circumcision": "A person's circumcision.",
-      "http://gedcomx.org/Court": "The appearance of a person in a court proceeding.",
-      "http://gedcomx.org/EducationEnrollment": "A person's enrollment in an educational program or institution.",
-      "http://gedcomx.org/Enslavement": "The enslavement of a person.",
-      "http://gedcomx.org/Excommunication": "A person's excommunication from a church.",
-      "http://gedcomx.org/Funeral": "A person's funeral.",
-      "http://gedcomx.org/GenderChange": "A person's gender change.",
-      "http://gedcomx.org/Imprisonment": "A person's imprisonment.",
-      "http://gedcomx.org/Inquest": "A legal inquest. Inquests usually only occur when there’s something suspicious about the death. Inquests might in some instances lead to a murder investigation. Most people that die have a death certificate wherein a doctor indicates the cause of death and often indicates when the decedent was last seen by that physician; these require no inquest.",
-      "http://gedcomx.org/LandTransaction": "A land transaction enacted by a person.",
-      "http://gedcomx.org/MilitaryAward": "A person's military award.",
-      "http://gedcomx.org/MilitaryDischarge": "A person's military discharge.",
-      "http://gedcomx.org/MilitaryDraftRegistration": "A person's registration for a military draft.",
-      "http://gedcomx.org/MilitaryInduction": "A person's military induction.",
-      "http://gedcomx.org/Mission": "A person's church mission.",
-      "http://gedcomx.org/MoveFrom": "A person's move (i.e., change of residence) from a location.",
-      "http://gedcomx.org/MoveTo": "A person's move (i.e., change of residence) to a new location.",
-      "http://gedcomx.org/MultipleBirth": "A fact that a person was born as part of a multiple birth (e.g., twin, triplet, etc.).",
-      "http://gedcomx.org/Pardon": "A person's legal pardon.",
-      "http://gedcomx.org/Retirement": "A person's retirement.",
-      "http://gedcomx.org/Stillbirth": "A person's stillbirth.",
-      "http://gedcomx.org/TaxAssessment": "A person's tax assessment.",
-      "http://gedcomx.org/Visit": "A person's visit to a place different from the person's residence.",
-      "http://gedcomx.org/Yahrzeit": "A person's yahrzeit date. A person's yahrzeit is the anniversary of their death as measured by the Hebrew calendar.",
-    }
-    const facts = {
-      "http://gedcomx.org/AncestralHall": "A person's ancestral hall. An ancestral hall refers to a location where the early ancestors of the person originated. It may also refer to the name of an early ancestor. Family clans are often distinguished one from another by the ancestral hall. Clans that cannot prove direct relationships to other clans with the same surname can assume a direct relationship if they share the same ancestral hall.",
-      "http://gedcomx.org/AncestralPoem": "A person's ancestral poem. An ancestral poem (or generation poem) is composed of the \"generation characters\" that are to be used when choosing names for the members of different generations of an extended family. Ancestral poems are prominent in Asian countries, particularly China.",
-      "http://gedcomx.org/Apprenticeship": "A person's apprenticeship.",
-      "http://gedcomx.org/Award": "A person's award (medal, honor).",
-      "http://gedcomx.org/Branch": "A person's branch within an extended clan.",
-      "http://gedcomx.org/Clan": "A person's clan.",
-      "http://gedcomx.org/Ethnicity": "A person's ethnicity.",
-      "http://gedcomx.org/GenerationNumber": "A person's generation number, indicating the number of generations the person is removed from a known \"first\" ancestor.",
-      "http://gedcomx.org/Heimat": "A person's heimat. \"Heimat\" refers to a person's affiliation by birth to a specific geographic place. Distinct heimaten are often useful as indicators that two persons of the same name are not likely to be closely related genealogically. In English, \"heimat\" may be described using terms like \"ancestral home\", \"homeland\", or \"place of origin\".",
-      "http://gedcomx.org/Language": "A language spoken by a person.",
-      "http://gedcomx.org/Living": "A record of a person's living for a specific period. This is designed to include \"flourish\", defined to mean the time period in an adult's life where he was most productive, perhaps as a writer or member of the state assembly. It does not reflect the person's birth and death dates.",
-      "http://gedcomx.org/MaritalStatus": "A person's marital status.",
-      "http://gedcomx.org/Medical": "A person's medical record, such as for an illness or hospital stay.",
-      "http://gedcomx.org/MilitaryService": "A person's military service.",
-      "http://gedcomx.org/Nationality": "A person's nationality.",
-      "http://gedcomx.org/Obituary": "A person's obituary.",
-      "http://gedcomx.org/OfficialPosition": "A person's official (government) position.",
-      "http://gedcomx.org/Race": "The declaration of a person's race, presumably in a historical document.",
-      "http://gedcomx.org/Tribe": "A person's tribe.",
-      "http://familysearch.org/v1/LifeSketch": "Life sketch",
-    }
-    let ans;
-    if (f.type in etags) {
-      ans = g7s(etags[f.type])
-      if (f.value) ans.add(g7s('TYPE', f.value))
-    } else if (f.type in atags) {
-      ans = g7s(atags[f.type], f.value)
-      if (ans.tag == 'IDNO') ans.add(g7s('TYPE','Unspecified')) // fix me: figure out why no NationalId fields have nations in FS data I've seen
-    } else if (f.type in evens) {
-      ans = g7s('EVEN', null, g7s('TYPE', evens[f.type]))
-      if (f.value) ans.add(g7s('NOTE', f.value))
-    } else if (f.type in facts) {
-      ans = g7s('FACT', f.value, g7s('TYPE', facts[f.type]))
-    } else if (f.type.startsWith('data:')) {
-      ans = g7s('EVEN', f.value, g7s('TYPE', parseDataURL(f.type)))
-    } else {
-      error("Unknown person fact type: "+f.type)
+    if (!entry) return null
+    let [k, v] = Object.entries(entry)[0]
+    factTypes[kind][k][type] = v
+    return k
+  }
+  
+  /** the parts of person and couple facts that differ only by the registry used */
+  const doFact = (f, kind) => {
+    const {etags, atags, evens, facts, exts, qualifiers} = factTypes[kind]
+    let ans
+    let table = ['etags', 'atags', 'evens', 'facts', 'exts'].find(k => f.type in factTypes[kind][k])
+    if (!table && f.type.startsWith('data:')) {
+      ans = g7s('EVEN', f.value, g7s('TYPE', parseDataURL(f.type)))
+    } else switch(table || unknownFactType(f.type, kind)) {
+      case 'etags':
+        ans = g7s(etags[f.type])
+        if (f.value) ans.add(g7s('TYPE', f.value))
+        break
+      case 'atags':
+        ans = g7s(atags[f.type], f.value)
+        if (ans.tag == 'IDNO') ans.add(g7s('TYPE','Unspecified')) // fix me: figure out why no NationalId fields have nations in FS data I've seen
+        break
+      case 'evens':
+        ans = g7s('EVEN', null, g7s('TYPE', evens[f.type]))
+        if (f.value) ans.add(g7s('NOTE', f.value))
+        approximated(f, 'value')
+        break
+      case 'facts': ans = g7s(f.value ? 'FACT' : 'EVEN', f.value, g7s('TYPE', facts[f.type])); break // FACT needs a payload
+      case 'exts': ans = g7s(extensionTag(exts[f.type], f.type), f.value); break
+      default: return null
     }
+    if (f.id) ans.add(uuidOf(f.id) ? g7s('UID', uuidOf(f.id)) : g7s(relocated('EXID'), f.id, g7s('TYPE', 'https://gedcom.io/exid-type/FamilySearch-FactId')))
+    doIdentifiers(f.identifiers).forEach(s => { // events have no EXID or REFN
+      if (s.tag != 'UID') s.tag = relocated(s.tag)
+      ans.add(s)
+    })
     if (f.date) ans.add(doDate(f.date))
-    if (f.place) ans.add(doPlace(f.place)) // FIX ME: implement 
-    f.sources?.forEach(s => ans.add(g7s('SOUR', doSource(s))))
+    if (f.place) ans.add(doPlace(f.place, f.date))
+    f.sources?.forEach(s => ans.add(doCitation(s, f)))
     if (f.qualifiers) f.qualifiers.forEach(q => {
+      if (q.name in qualifiers) {
+        let tag = qualifiers[q.name]
+        if (tag[0] == '_') tag = extensionTag(tag, q.name)
+        return ans.add(g7s(tag, q.value))
+      }
+      approximated(q, 'name', 'value')
       switch(q.name) {
-        case 'http://gedcomx.org/Age': ans.add(g7s('AGE',q.value)); break;
-        case 'http://gedcomx.org/Cause': ans.add(g7s('CAUS',q.value)); break;
-        case 'http://gedcomx.org/Religion': ans.add(g7s('RELI '+q.value)); break;
         case 'http://gedcomx.org/Transport': ans.add(g7s('NOTE','transported via '+q.value)); break;
         case 'http://gedcomx.org/NonConsensual': ans.add(g7s('NOTE','nonconsensual')); break;
-        default: ans.add(g7s('NOTE',q.type+' is '+q.value)); break;
+        default: ans.add(g7s('NOTE',q.name+' is '+q.value)); break;
       }
     })
+    return ans
+  }
+  const doIndividualFact = f => {
+    let ans = doFact(f, 'person')
+    if (!ans) return null
     if (ans.subs.length == 0 && !ans.payload) ans.payload = 'Y'
+    ans.add(doAttribution(f.attribution))
     return ans
   }
   const doRelationshipFact = f => {
-    const etags = {
-      "http://gedcomx.org/Annulment": "ANUL",
-      "http://gedcomx.org/Census": "CENS",
-      "http://gedcomx.org/Divorce": "DIV",
-      "http://gedcomx.org/DivorceFiling": "DIVF",
-      "http://gedcomx.org/Engagement": "ENGA",
-      "http://gedcomx.org/MarriageBanns": "MARB",
-      "http://gedcomx.org/MarriageContract": "MARC",
-      "http://gedcomx.org/MarriageLicense": "MARL",
-      "http://gedcomx.org/Marriage": "MARR",
-        // no gx parallel for MARS
-    }
-    const atags = {
-        "http://gedcomx.org/Residence": "RESI",
-        "http://gedcomx.org/NumberOfChildren": "NCHI",
-    }
-    const evens = {
-        "http://gedcomx.org/CommonLawMarriage": "A marriage by common law.",
-        "http://gedcomx.org/CivilUnion": "A civil union of a couple.",
-        "http://gedcomx.org/DomesticPartnership": "A domestic partnership of a couple.",
-        "http://gedcomx.org/MarriageNotice": "A marriage notice.",
-        "http://gedcomx.org/Separation": "A couple's separation.",
-    }
-    const facts = {
-    }
-
-    let ans;
-    if (f.type in etags) {
-      ans = g7s(etags[f.type])
-      if (f.value) ans.add(g7s('TYPE', f.value))
-    } else if (f.type in atags) {
-      ans = g7s(atags[f.type], f.value)
-    } else if (f.type in evens) {
-      ans = g7s('EVEN', null, g7s('TYPE', evens[f.type]))
-      if (f.value) ans.add(g7s('NOTE', f.value))
-    } else if (f.type in facts) {
-      ans = g7s('FACT', f.value, g7s('TYPE', facts[f.type]))
-    } else if (f.type.startsWith('data:')) {
-      ans = g7s('EVEN', f.value, g7s('TYPE', parseDataURL(f.type)))
-    } else {
-      error("Unknown family fact type: "+f.type)
-    }
-    if (f.date) ans.add(doDate(f.date))
-    if (f.place) ans.add(doPlace(f.place)) // FIX ME: implement 
-    f.sources?.forEach(s => ans.add(g7s('SOUR', doSource(s))))
-    if (f.qualifiers) f.qualifiers.forEach(q => {
-      switch(q.name) {
-        case 'http://gedcomx.org/Cause': ans.add(g7s('CAUS',q.value)); break;
-        case 'http://gedcomx.org/Religion': ans.add(g7s('RELI '+q.value)); break;
-        case 'http://gedcomx.org/Transport': ans.add(g7s('NOTE','transported via '+q.value)); break;
-        case 'http://gedcomx.org/NonConsensual': ans.add(g7s('NOTE','nonconsensual')); break;
-        default: ans.add(g7s('NOTE',q.type+' is '+q.value)); break;
-      }
-    })
+    let ans = doFact(f, 'couple')
+    if (!ans) return null
     if (ans.subs.length == 0 && !ans.payload) ans.payload = 'Y'
+    ans.add(doAttribution(f.attribution))
     return ans
   }
   
+  /** the INDI for a person ID, as a placeholder if that person has not been fed */
+  const findOrAddPerson = id => {
+    if (!('#'+id in records)) {
+      records['#'+id] = g7s('INDI',null,g7s('EXID',id,g7s('TYPE','https://gedcom.io/exid-type/FamilySearch-PersonId')))
+      records['#'+id].resourceId = id // not displayed, just for local interlinks
+    }
+    return records['#'+id]
+  }
+  
   /** FAM records, CHIL substructures, and ASSO substructures are in relationships
    * Pass 1 looks for couples and makes first pass of FAMs
    */
   const doRelationship1 = r => {
     if (r.type != 'http://gedcomx.org/Couple') return
-    if (!('#'+r.person1.resourceId in records))
-      records['#'+r.person1.resourceId] = g7s('INDI',null,g7s('EXID',r.person1.resourceId,g7s('TYPE','https://gedcom.io/exid-type/FamilySearch-PersonId')))
-    if (!('#'+r.person2.resourceId in records))
-      records['#'+r.person2.resourceId] = g7s('INDI',null,g7s('EXID',r.person2.resourceId,g7s('TYPE','https://gedcom.io/exid-type/FamilySearch-PersonId')))
-    let id = [r.person1.resourceId,r.person2.resourceId].sort().join('+')
+    findOrAddPerson(r.person1.resourceId)
+    findOrAddPerson(r.person2.resourceId)
     let fam = makeOrFindFam(r.person1, r.person2)
-    fam.add(g7s('EXID', r.id, g7s('TYPE', 'https://gedcom.io/exid-type/FamilySearch-RelationshipId'))) // FIX ME: register this type
-    r.facts?.forEach(f => fam.add(doRelationshipFact(f)))
-    r.sources?.forEach(s => fam.add(g7s('SOUR', doSource(s))))
+    fam.merge(g7s('EXID', r.id, g7s('TYPE', 'https://gedcom.io/exid-type/FamilySearch-RelationshipId'))) // FIX ME: register this type
+    fam.merge(...doIdentifiers(r.identifiers, 'https://gedcom.io/exid-type/FamilySearch-RelationshipId'), ...doLinks(r.links))
+    r.facts?.forEach(f => fam.merge(doRelationshipFact(f)))
+    r.sources?.forEach(s => fam.merge(doCitation(s, r)))
+    doChange(fam, r.attribution)
+  }
+  
+  const lineage = { // PEDI and the PHRASE used if it is OTHER or the parents differ
+    'http://gedcomx.org/BiologicalParent': ['BIRTH', 'Biological'],
+    'http://gedcomx.org/AdoptiveParent': ['ADOPTED', 'Adoptive'],
+    'http://gedcomx.org/FosterParent': ['FOSTER', 'Foster'],
+    'http://gedcomx.org/StepParent': ['OTHER', 'Step'],
+    'http://gedcomx.org/GuardianParent': ['OTHER', 'Guardian'],
+  }
+  /** PEDI from a list of [parent INDI, that parent's gx lineage facts] */
+  const doPedigree = (...parents) => {
+    parents = parents.filter(x => x?.[0])
+    let found = parents
+      .map(([per, facts]) => [per, facts?.find(f => f.type in lineage)?.type])
+      .filter(x => x[1])
+    if (found.length == 0) return null
+    if (found.length == parents.length && new Set(found.map(x => x[1])).size == 1) {
+      let [pedi, phrase] = lineage[found[0][1]]
+      return g7s('PEDI', pedi, pedi == 'OTHER' && g7s('PHRASE', phrase))
+    }
+    const nameOf = per => per.subs.find(s => s.tag == 'NAME')?.payload.replace(/\//g,'') || per.resourceId
+    return g7s('PEDI', 'OTHER', g7s('PHRASE', found.map(([per, type]) => lineage[type][1]+' ('+nameOf(per)+')').join(', ')))
+  }
+  /** adds CHIL and FAMC if not already present, and PEDI if it has none yet */
+  const addChild = (fam, child, pedi) => {
+    if (!fam.subs.some(s => s.tag == 'CHIL' && s.payload == child)) fam.add(g7s('CHIL', child))
+    let famc = child.subs.find(s => s.tag == 'FAMC' && s.payload == fam)
+    if (!famc) child.add(famc = g7s('FAMC', fam))
+    if (pedi && !famc.subs.some(s => s.tag == 'PEDI')) famc.add(pedi)
+  }
+  /** a FAM with one or two parents, with a probable WIFE as the WIFE */
+  const parentsFam = (p, q) => {
+    if (!q) return isWife(p) ? makeOrFindFam(null, p) : makeOrFindFam(p, null)
+    return isWife(p) === true || isWife(q) === false ? makeOrFindFam(q, p) : makeOrFindFam(p, q)
+  }
+  
+  /** Pass 2 puts the child of each ParentChild relationship in a FAM with its parents,
+   * pairing parents that already share a FAM, or the only two parents if they do not
+   */
+  const doRelationship2 = rels => {
+    let parentsOf = {}
+    rels.filter(r => r.type == 'http://gedcomx.org/ParentChild').forEach(r => {
+      let child = r.person2.resourceId
+      if (!(child in parentsOf)) parentsOf[child] = {}
+      parentsOf[child][r.person1.resourceId] = r
+    })
+    Object.entries(parentsOf).forEach(([child, byParent]) => {
+      let parents = Object.keys(byParent)
+      let chil = findOrAddPerson(child)
+      while (parents.length > 0) {
+        let p = parents.shift()
+        let q = parents.find(q => [p,q].sort().join('+') in records)
+        if (!q && parents.length == 1 && Object.keys(byParent).length == 2) q = parents[0]
+        if (q) parents.splice(parents.indexOf(q), 1)
+        let fam = parentsFam(findOrAddPerson(p), q && findOrAddPerson(q))
+        addChild(fam, chil, doPedigree(
+          [findOrAddPerson(p), byParent[p].facts],
+          q && [findOrAddPerson(q), byParent[q].facts]))
+        ;[p, q].filter(x=>x).map(x => byParent[x]).forEach(r => {
+          if (r.id) fam.merge(g7s('EXID', r.id, g7s('TYPE', 'https://gedcom.io/exid-type/FamilySearch-RelationshipId')))
+          fam.merge(...doIdentifiers(r.identifiers, 'https://gedcom.io/exid-type/FamilySearch-RelationshipId'), ...doLinks(r.links))
+          r.sources?.forEach(s => fam.merge(doCitation(s, r)))
+        })
+      }
+    })
+  }
+  
+  /** FamilySearch's childAndParentsRelationships, with older father/mother names too */
+  const doChildAndParents = r => {
+    if (!r.child) return
+    let p1 = (r.parent1 || r.father) && findOrAddPerson((r.parent1 || r.father).resourceId)
+    let p2 = (r.parent2 || r.mother) && findOrAddPerson((r.parent2 || r.mother).resourceId)
+    if (!p1 && !p2) return
+    let fam = p1 ? parentsFam(p1, p2) : parentsFam(p2)
+    if (r.id) fam.merge(g7s('EXID', r.id, g7s('TYPE', 'https://gedcom.io/exid-type/FamilySearch-ChildAndParentsRelationshipId')))
+    fam.merge(...doIdentifiers(r.identifiers, 'https://gedcom.io/exid-type/FamilySearch-ChildAndParentsRelationshipId'), ...doLinks(r.links))
+    addChild(fam, findOrAddPerson(r.child.resourceId), doPedigree(
+      [p1, r.parent1Facts || r.fatherFacts],
+      [p2, r.parent2Facts || r.motherFacts]))
+    r.sources?.forEach(s => fam.merge(doCitation(s, r)))
+  }
+
+  const ordinanceTags = {
+    'http://lds.org/Baptism': 'BAPL',
+    'http://lds.org/Confirmation': 'CONL',
+    'http://lds.org/Initiatory': 'INIL',
+    'http://lds.org/Endowment': 'ENDL',
+    'http://lds.org/SealingChildToParents': 'SLGC',
+    'http://lds.org/SealingToParents': 'SLGC',
+    'http://lds.org/SealingToSpouse': 'SLGS',
+  }
+  const ordinanceStatuses = {
+    'http://lds.org/BornInCovenant': 'BIC',
+    'http://lds.org/Cancelled': 'CANCELED',
+    'http://lds.org/Canceled': 'CANCELED',
+    'http://lds.org/Child': 'CHILD',
+    'http://lds.org/Completed': 'COMPLETED',
+    'http://lds.org/Excluded': 'EXCLUDED',
+    'http://lds.org/DoNotSeal': 'DNS',
+    'http://lds.org/DoNotSealCancelled': 'DNS_CAN',
+    'http://lds.org/Infant': 'INFANT',
+    'http://lds.org/Pre1970': 'PRE_1970',
+    'http://lds.org/Stillborn': 'STILLBORN',
+    'http://lds.org/Submitted': 'SUBMITTED',
+    'http://lds.org/InProgress': 'SUBMITTED',
+    'http://lds.org/Uncleared': 'UNCLEARED',
+  }
+  /** the FAM the person is in with the given tag (FAMC or FAMS) whose HUSB and WIFE include these persons */
+  const familyWith = (per, tag, ids) => per.subs.filter(s => s.tag == tag && s.payload?.tag == 'FAM').map(s => s.payload).find(fam => {
+    let spouses = fam.subs.filter(s => s.tag == 'HUSB' || s.tag == 'WIFE').map(s => s.payload?.resourceId)
+    return ids.every(id => spouses.includes(id))
+  })
+  /** Latter-day Saint ordinances: SLGC goes on the person with a FAMC for the parents' FAM,
+   * SLGS on the couple's FAM, and the others on the person.
+   * Run after relationships so the FAMs they point to already exist; ordinances do not make families.
+   * STAT needs an exact DATE, so a status with no such date or no g7 equivalent is a PHRASE instead.
+   */
+  const doOrdinances = p => {
+    let me = records['#'+p.id]
+    p.ordinances?.forEach(o => {
+      let tag = ordinanceTags[o.type]
+      if (!tag) return error(`Unknown ordinance type: ${o.type}`)
+      let ans = g7s(tag, null, o.date && doDate(o.date), o.templeCode && g7s('TEMP', o.templeCode))
+      let role = type => o.participants?.find(x => x.type == 'http://lds.org/'+type)?.participant?.resourceId
+      if (tag == 'SLGC') {
+        let father = role('Father'), mother = role('Mother')
+        if (!father && !mother) return error(`${o.type} of ${p.id} has no parents`)
+        let fam = familyWith(me, 'FAMC', [father, mother].filter(x => x))
+        if (!fam) return error(`${o.type} of ${p.id} names parents ${[father, mother].filter(x => x).join(' and ')} who are not their parents in any family`)
+        ans.add(g7s('FAMC', fam))
+      }
+      if (o.status) {
+        let when = o.statusDate || o.attribution?.modified
+        let date = when && doDate(when)
+        if (o.status in ordinanceStatuses && /^[0-9]+ [A-Z0-9_]+ [0-9]+$/.test(date?.payload))
+          ans.add(g7s('STAT', ordinanceStatuses[o.status], g7s('DATE', date.payload, ...date.subs.filter(s => s.tag == 'TIME'))))
+        else {
+          ans.add(g7s(relocated('PHRASE'), o.status.replace(/.*\//, '').replace(/([a-z])([A-Z])/g, '$1 $2')))
+          approximated(o, 'status')
+        }
+      }
+      o.notes?.forEach(n => ans.add(doNote(n)))
+      o.sources?.forEach(s => ans.add(doCitation(s, o)))
+      if (tag == 'SLGS') {
+        let spouse = role('Spouse')
+        if (!spouse) return error(`${o.type} of ${p.id} has no spouse`)
+        let fam = familyWith(me, 'FAMS', [p.id, spouse])
+        if (!fam) return error(`${o.type} of ${p.id} names spouse ${spouse} who is not in a family with them`)
+        fam.merge(ans)
+      } else me.merge(ans)
+    })
+  }
+
+  const associations = { // which person gets the ASSO, and the ROLE and PHRASE of the other person
+    'http://gedcomx.org/EnslavedBy': [1, 'OTHER', 'Enslaver'],
+    'http://gedcomx.org/Godparent': [2, 'GODP', 'Godparent'],
+  }
+  const roles = {
+    'clergy': 'CLERGY', 'friend': 'FRIEND', 'godparent': 'GODP', 'godfather': 'GODP', 'godmother': 'GODP',
+    'neighbor': 'NGHBR', 'neighbour': 'NGHBR', 'officiator': 'OFFICIATOR', 'witness': 'WITN',
+  }
+  const doRole = phrase => g7s('ROLE', roles[phrase.toLowerCase()] || 'OTHER', g7s('PHRASE', phrase))
+  
+  /** Relationships that do not fit in a FAM become an ASSO on one of the persons,
+   * with that person's facts from the relationship given as events with their own ASSO
+   */
+  const doAssociation = r => {
+    if (r.type == 'http://gedcomx.org/Couple' || r.type == 'http://gedcomx.org/ParentChild') return
+    let [holder, role, phrase] = associations[r.type] || [1, null, r.type.startsWith('data:') ? parseDataURL(r.type) : r.type.replace(/.*\//, '')]
+    let [me, them] = holder == 1 ? [r.person1, r.person2] : [r.person2, r.person1]
+    me = findOrAddPerson(me.resourceId)
+    them = findOrAddPerson(them.resourceId)
+    let asso = () => g7s('ASSO', them, role ? g7s('ROLE', role, g7s('PHRASE', phrase)) : doRole(phrase))
+    let ans = asso()
+    r.notes?.forEach(n => ans.add(doNote(n)))
+    r.sources?.forEach(s => ans.add(doCitation(s, r, true)))
+    me.merge(ans)
+    r.facts?.forEach(f => {
+      let ev = doIndividualFact(f)
+      if (!ev) return
+      ev.add(asso())
+      me.merge(ev)
+    })
+  }
+  
+  /** gx:Group becomes a _GROUP extension record with an ASSO for each member */
+  const doGroup = g => {
+    let ans = records['#'+g.id] || g7s(ext('_GROUP'))
+    g.names?.forEach(n => ans.merge(g7s('NAME', n.value)))
+    if (g.date) ans.merge(doDate(g.date))
+    g.places?.forEach(p => ans.merge(doPlace(p, g.date)))
+    g.roles?.forEach(r => {
+      let who = findOrAddPerson(r.person.resourceId || r.person.resource.replace(/^#/,''))
+      approximated(r, 'details', 'type')
+      let phrase = r.details || (r.type ? (r.type.startsWith('data:') ? parseDataURL(r.type) : r.type.replace(/.*\//, '')) : 'Member')
+      ans.merge(g7s('ASSO', who, doRole(phrase)))
+    })
+    g.notes?.forEach(n => ans.merge(doNote(n)))
+    g.sources?.forEach(s => ans.merge(doCitation(s, g)))
+    records['#'+g.id] = ans
   }
   
   const isWife = per => { // guess if this person is a WIFE
     let ans = null
     per.subs.forEach(s => { 
-      if (s.tag == 'SEX' && s.paylaod == 'F') ans = true
-      if (s.tag == 'SEX' && s.paylaod == 'M') ans = false
+      if (s.tag == 'SEX' && s.payload == 'F') ans = true
+      if (s.tag == 'SEX' && s.payload == 'M') ans = false
     })
     if ('boolean' == typeof ans) return ans
     per.subs.forEach(s => { 
@@ -666,13 +1339,13 @@ function GEDCOMXTo7(gx, error) {
     return ans
   }
   
-  const doGenerationCode = ([num, per]) => {
+  const doGenerationCode = ({gennumber, famof}) => ([num, per]) => {
     // unclear: if person in twice, how is that handled?
     if (num.includes('-S') || num.includes('.')) {
       let [_, prev, here] = /^(.*)[-.]([S0-9]+)$/.exec(num)
       if (!(prev in gennumber))
         throw new Error(`Generation number ${num} without ${prev}`)
-      per2 = gennumber[prev]
+      let per2 = gennumber[prev]
       if (here[0] == 'S') { // spouse
         let marnum = here == 'S'? 1 : Number(here.substr(2)) // unused
         let wife = isWife(per)
@@ -683,8 +1356,13 @@ function GEDCOMXTo7(gx, error) {
       } else { // child
         let chilnum = Number(here)
         let fam = famof[prev]
+        if (!fam) { // prefer a family already given by explicit relationships
+          fam = per.subs.filter(s => s.tag == 'FAMC').map(s => s.payload)
+            .find(f => f.subs.some(s => (s.tag == 'HUSB' || s.tag == 'WIFE') && s.payload == per2))
+          if (fam) famof[prev] = fam
+        }
         if (!fam) {
-          fam = isWife(per2) ? makeOrfindFam(null,per2) : makeOrFindFam(per2,null)
+          fam = isWife(per2) ? makeOrFindFam(null,per2) : makeOrFindFam(per2,null)
           famof[prev] = fam
         }
         if (fam.subs.filter(s => s.tag == 'CHIL' && s.payload == per).length == 0) {
@@ -709,8 +1387,10 @@ function GEDCOMXTo7(gx, error) {
       let mother = String(num*2+1)
       if (father in gennumber || mother in gennumber) {
         let fam = makeOrFindFam(gennumber[father], gennumber[mother])
-        fam.add(g7s('CHIL', per))
-        per.add(g7s('FAMC', fam))
+        if (fam.subs.filter(s => s.tag == 'CHIL' && s.payload == per).length == 0) {
+          fam.add(g7s('CHIL', per))
+          per.add(g7s('FAMC', fam))
+        }
         if (!(father in famof)) famof[father] = fam
         if (!(mother in famof)) famof[mother] = fam
       }
@@ -718,27 +1398,1531 @@ function GEDCOMXTo7(gx, error) {
   }
   
   
-  /* The following are populated by doPerson
+  /* The following is populated by doPerson for each feed
    * combines ahnentafel integers: i's father is 2i and mother is 2i+1
    * and d'aboville strings: i ( "-S"\d* | "."\d+ ) -S2 = 2nd spouse, .3 = 3rd child
    */
-  const gennumber = {}
+  let gennumber = {}
+  
+  /* Each feed numbers persons relative to its own root person, so numbers are
+   * kept in frames, each with a common root. A feed's numbers join the first
+   * frame where some person they share implies a consistent root; otherwise
+   * they start a new frame.
+   */
+  const frames = [] // each {gennumber, famof}; famof is d'aboville default family of person
+  
+  const isAhnentafel = num => /^[0-9]+$/.test(num)
+  /** the number of num if its root person were numbered root instead of 1, or null */
+  const rebase = (num, root) => {
+    if (num == '1') return root
+    if (isAhnentafel(num)) {
+      if (!isAhnentafel(root)) return null
+      let depth = Math.floor(Math.log2(Number(num)))
+      return String(Number(root) * 2**depth + Number(num) - 2**depth)
+    }
+    if (root != '1' && isAhnentafel(root)) return null
+    return root + num.substr(1)
+  }
+  /** the root implied by a person numbered num locally and global in a frame, or null */
+  const rootOf = (num, global) => {
+    if (num == '1') return global
+    if (isAhnentafel(num)) {
+      if (!isAhnentafel(global)) return null
+      let depth = Math.floor(Math.log2(Number(num)))
+      let root = Math.floor(Number(global) / 2**depth)
+      return root > 0 && String(root * 2**depth + Number(num) - 2**depth) == global ? String(root) : null
+    }
+    let rest = num.substr(1)
+    return global.length > rest.length && global.endsWith(rest) ? global.substr(0, global.length - rest.length) : null
+  }
+  const addToFrame = local => {
+    for(let frame of frames) {
+      let keys = new Map()
+      Object.entries(frame.gennumber).forEach(([k,per]) => keys.set(per, [...(keys.get(per) || []), k]))
+      for(let [num, per] of Object.entries(local)) for(let global of keys.get(per) || []) {
+        let root = rootOf(num, global)
+        if (root === null) continue
+        let moved = Object.entries(local).map(([n, p]) => [rebase(n, root), p])
+        if (moved.some(([n, p]) => n === null || (n in frame.gennumber && frame.gennumber[n] != p))) continue
+        moved.forEach(([n, p]) => frame.gennumber[n] = p)
+        return
+      }
+    }
+    frames.push({gennumber:local, famof:{}})
+  }
+  
+  /* Stable xrefs: each record's xref comes from the key it has in records,
+   * which is a FamilySearch ID for persons, relationships, sources, and agents,
+   * so the same tree gives the same xrefs no matter the order it was fed in
+   */
+  const recordOrder = ['HEAD','SUBM','INDI','FAM','SOUR','REPO','OBJE','SNOTE']
+  const xrefPrefix = {INDI:'I', FAM:'F', SOUR:'S', REPO:'R', SUBM:'U', OBJE:'O', SNOTE:'N'}
+  /** FNV-1a hash, for xrefs of records whose key is not a short ID */
+  const hash = s => {
+    let h = 0x811c9dc5
+    for(let c of s) h = Math.imul(h ^ c.codePointAt(0), 0x01000193) >>> 0
+    return h.toString(36).toUpperCase()
+  }
+  const stableXref = (key, r) => {
+    let id = key.replace(/^SUBM#|^#/, '').split('+').filter(x => x).join('_') // FAM keys are two person IDs
+    if (!id || id.length > 40 || /[^A-Za-z0-9_-]/.test(id)) id = hash(key) // URLs and such
+    return (xrefPrefix[r.tag] || r.tag.replace(/^_/, '')) + '_' + id.toUpperCase().replace(/[^A-Z0-9_]/g, '_')
+  }
+  /** the given [key, record] entries with stable xrefs, sorted by type and xref; hidden records get hashed xrefs */
+  const stableRecords = (entries, hidden) => {
+    let used = new Set()
+    let rank = r => recordOrder.includes(r.tag) ? recordOrder.indexOf(r.tag) : recordOrder.length
+    return entries
+      .sort(([k1], [k2]) => k1 < k2 ? -1 : k1 > k2 ? 1 : 0)
+      .map(([key, r]) => {
+        let id = stableXref(hidden.has(r) ? 'private '+key : key, r) // so the xref does not reveal a FamilySearch ID
+        if (used.has(id)) id += '_'+hash(key) // IDs that differ only in case or punctuation
+        used.add(id)
+        r.id = id
+        return r
+      })
+      .sort((a, b) => rank(a) - rank(b) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+  }
+  
+  /** plain {tag, id, payload, subs} copies of records, pointing to each other, that later feeds and dumps leave alone */
+  const copyTree = dataset => {
+    let copies = new Map()
+    const copy = s => ({tag: s.tag, id: s.id, payload: s.payload, subs: s.subs.map(copy)})
+    let ans = dataset.map(r => { let c = copy(r); copies.set(r, c); return c })
+    const relink = s => {
+      if (s.payload && 'object' == typeof s.payload) s.payload = copies.get(s.payload) || '@VOID@'
+      s.subs.forEach(relink)
+    }
+    ans.forEach(relink)
+    return ans
+  }
+  /** replaces the subs of s for one dump, noting the old ones in swaps to put back afterwards */
+  const swapSubs = (swaps, s, subs) => { swaps.push([s, s.subs]); s.subs = subs }
+  const familyTags = ['HUSB','WIFE','CHIL']
+  /** the INDI and FAM records selected by options.subtree, following FAMC and FAMS links */
+  const subtree = () => {
+    let {root, direction = 'connected', generations} = options.subtree
+    let chosen = new Set()
+    if (!['ancestors','descendants','both','connected'].includes(direction)) error(`Unknown subtree direction ${direction}`)
+    let start = records['#'+root]
+    if (start?.tag != 'INDI') {
+      error(`Subtree root ${root} is not a person in the dataset`)
+      return chosen
+    }
+    const families = (r, tag) => r.subs.filter(s => s.tag == tag && s.payload?.tag == 'FAM').map(s => s.payload)
+    const members = (f, tags) => f.subs.filter(s => tags.includes(s.tag) && s.payload?.tag == 'INDI').map(s => s.payload)
+    if (direction == 'connected') {
+      let queue = [start]
+      while(queue.length > 0) {
+        let r = queue.shift()
+        if (chosen.has(r)) continue
+        chosen.add(r)
+        if (r.tag == 'INDI') queue.push(...families(r, 'FAMC'), ...families(r, 'FAMS'))
+        else queue.push(...members(r, familyTags))
+      }
+      return chosen
+    }
+    // the root is generation 1, its parents or children generation 2, and so on
+    let limit = generations || Infinity
+    const walk = (r, gen, up, seen) => {
+      if (seen.get(r) <= gen) return // already reached in as few generations
+      seen.set(r, gen)
+      chosen.add(r)
+      if (gen >= limit) return
+      families(r, up ? 'FAMC' : 'FAMS').forEach(f => {
+        chosen.add(f)
+        if (up) members(f, ['HUSB','WIFE']).forEach(p => walk(p, gen+1, up, seen))
+        else {
+          members(f, ['HUSB','WIFE']).forEach(p => chosen.add(p)) // spouses of descendants
+          members(f, ['CHIL']).forEach(p => walk(p, gen+1, up, seen))
+        }
+      })
+    }
+    if (direction != 'descendants') walk(start, 1, true, new Map())
+    if (direction != 'ancestors') walk(start, 1, false, new Map())
+    return chosen
+  }
+  
+  /* Selection and privacy: options.subtree, options.living, and options.stripRestricted
+   * remove information from one dump by leaving out records and replacing the subs of some structures;
+   * each replaced [structure, subs] is added to swaps so dump can put them back afterwards.
+   * Returns the [key, record] entries to dump and the set of records whose xrefs should not reveal FamilySearch IDs.
+   */
+  const publicTags = ['NAME','SEX','FAMC','FAMS','ASSO','OBJE','EXID','UID','REFN','RESN','CHAN','CREA','SUBM']
+  const privateTags = ['NOTE','SNOTE','SOUR']
+  const redact = swaps => {
+    const setSubs = (s, subs) => swapSubs(swaps, s, subs)
+    const targets = (s, found) => {
+      if (s.payload && 'object' == typeof s.payload) found.add(s.payload)
+      s.subs.forEach(s2 => targets(s2, found))
+      return found
+    }
+    let all = Object.values(records)
+    let pointedTo = new Set()
+    all.forEach(r => targets(r, pointedTo))
+    let gone = new Set(), hidden = new Set()
+    
+    if (options.subtree) { // the chosen people and families, and the records they point to
+      let reachable = new Set()
+      const reach = r => {
+        if (reachable.has(r)) return
+        reachable.add(r)
+        targets(r, new Set()).forEach(t => { if (t.tag && t.tag != 'INDI' && t.tag != 'FAM') reach(t) })
+      }
+      subtree().forEach(reach)
+      all.filter(r => !reachable.has(r)).forEach(r => gone.add(r))
+    }
+    let living = new Set(options.living ? all.filter(r => r.tag == 'INDI' && r.living) : [])
+    living.forEach(r => {
+      if (options.living == 'exclude') gone.add(r)
+      else {
+        setSubs(r, [g7s('NAME', 'Living'), ...r.subs.filter(s => s.tag == 'FAMC' || s.tag == 'FAMS')])
+        hidden.add(r)
+      }
+    })
+    if (options.stripRestricted) {
+      const strip = s => {
+        if (s.subs.some(s2 => privateTags.includes(s2.tag))) setSubs(s, s.subs.filter(s2 => !privateTags.includes(s2.tag)))
+        s.subs.forEach(strip)
+      }
+      all.filter(r => r.restricted && !living.has(r)).forEach(r => {
+        setSubs(r, r.subs.filter(s => publicTags.includes(s.tag)))
+        strip(r)
+      })
+    }
+    all.filter(r => r.tag == 'FAM').forEach(r => {
+      // a couple's events are about the living spouse too
+      if (r.subs.some(s => (s.tag == 'HUSB' || s.tag == 'WIFE') && living.has(s.payload))) {
+        setSubs(r, r.subs.filter(s => familyTags.includes(s.tag)))
+        hidden.add(r)
+      }
+      // a family of one is not a family
+      if (options.living == 'exclude' && r.subs.filter(s => familyTags.includes(s.tag) && !gone.has(s.payload)).length < 2) gone.add(r)
+    })
+    
+    // remove pointers to removed records, and then records that only removed structures pointed to
+    let size
+    do {
+      size = gone.size
+      const unlink = s => {
+        if (s.subs.some(s2 => gone.has(s2.payload))) setSubs(s, s.subs.filter(s2 => !gone.has(s2.payload)))
+        s.subs.forEach(unlink)
+      }
+      let kept = all.filter(r => !gone.has(r))
+      kept.forEach(unlink)
+      let stillPointedTo = new Set()
+      kept.forEach(r => targets(r, stillPointedTo))
+      kept.filter(r => ['SOUR','OBJE','SNOTE','REPO','SUBM'].includes(r.tag) && pointedTo.has(r) && !stillPointedTo.has(r)).forEach(r => gone.add(r))
+    } while (size != gone.size)
+    return {entries: Object.entries(records).filter(([k, r]) => !gone.has(r)), hidden}
+  }
+  
+  /** with options.sharedNotes, NOTEs that appear in several places become one SNOTE; returns the new [key, record] entries */
+  const shareNotes = (entries, swaps) => {
+    let uses = new Map() // by the text of the NOTE and its substructures: [[NOTE, superstructure], ...]
+    const look = s => s.subs.forEach(s2 => {
+      if (s2.tag != 'NOTE') return look(s2)
+      let k = String(s2)
+      uses.set(k, [...(uses.get(k) || []), [s2, s]])
+    })
+    entries.forEach(([key, r]) => look(r))
+    let ans = []
+    uses.forEach((found, k) => {
+      if (found.length < 2) return
+      let note = found[0][0]
+      let rec = g7s('SNOTE', note.payload, ...note.subs)
+      found.forEach(([n, s]) => swapSubs(swaps, s, s.subs.map(x => x === n ? g7s('SNOTE', rec) : x)))
+      ans.push(['note '+k, rec])
+    })
+    return ans
+  }
+  
+  /**
+   * Adds the contents of one gx object to the dataset being built
+   * @param {object} gx - a GEDOMX dataset parsed from JSON format
+   */
+  this.feed = gx => {
+    if (options.report) {
+      let status = new Map()
+      coverage.push({gx, status})
+      gx = track(gx, status)
+    }
+    reading = false
+    try {
+      xlinkMaker(gx)
+      gx.places?.forEach(p => {
+        if (p.place?.resource) placeVersions[p.place.resource] = [...(placeVersions[p.place.resource] || []), p]
+        let id = /[0-9]+$/.exec(p.type || '')?.[0]
+        if (id && p.display?.type && !(id in placeTypeNames)) placeTypeNames[id] = p.display.type
+      })
+    } finally {
+      reading = true
+    }
+    gx.sourceDescriptions?.forEach(sd => { // sources referenced before their description was fed
+      if (records['#'+sd.id]?.tag == 'SOUR') describeSource(records['#'+sd.id], sd)
+    })
+    gx.discussions?.forEach(d => { // and discussions
+      if (records['#'+d.id]?.tag == 'SNOTE') describeDiscussion(records['#'+d.id], d)
+    })
+    gennumber = {}
+    gx.persons?.forEach(doPerson)
+    gx.relationships?.forEach(doRelationship1)
+    doRelationship2(gx.relationships || [])
+    gx.childAndParentsRelationships?.forEach(doChildAndParents)
+    gx.persons?.forEach(doOrdinances)
+    gx.relationships?.forEach(doAssociation)
+    gx.groups?.forEach(doGroup)
+    // note: relations will add substructures to existing persons
+    gx.agents?.forEach(a => { // repositories are already REPO records; others become SUBM
+      if (records['#'+a.id]?.tag != 'REPO') doSubmitter({resource:'#'+a.id, resourceId:a.id})
+    })
+    if (Object.keys(gennumber).length > 0) addToFrame(gennumber)
+  }
+  
+  /**
+   * Returns everything fed so far as a GEDCOM 7.0 dataset
+   * (or 5.5.1, with options.outputVersion, a GEDZIP file, with options.gedzip, or its records, with options.tree)
+   * @returns {string|Uint8Array|object[]} a corresponding GEDCOM 7.0 dataset
+   */
+  this.dump = () => {
+    frames.forEach(frame => Object
+      .entries(frame.gennumber)
+      .sort((a,b)=>a[0].length-b[0].length || a[0].localeCompare(b[0]))
+      .forEach(doGenerationCode(frame)))
+    
+    const undocumented = s => {
+      if (s.tag[0] == '_' && !(s.tag in extensionTags)) error(`Extension tag ${s.tag} has no documented URI`)
+      s.subs.forEach(undocumented)
+    }
+    Object.values(records).forEach(undocumented)
+    
+    let swaps = []
+    let {entries, hidden} = redact(swaps)
+    if (options.sharedNotes) entries.push(...shareNotes(entries, swaps))
+    
+    let header = g7s('HEAD', null, g7s('GEDC',null, g7s('VERS','7.0')))
+    let tags = Object.entries(extensionTags).map(([tag, uri]) => g7s('TAG', tag+' '+uri))
+    if (tags.length > 0) header.add(g7s('SCHMA',null, ...tags))
+    
+    // one FORM shared by every PLAC goes in HEAD.PLAC.FORM instead
+    let forms = []
+    const findForms = s => s.subs.forEach(s2 => {
+      if (s2.tag == 'PLAC') forms.push([s2, s2.subs.find(x => x.tag == 'FORM')])
+      else findForms(s2)
+    })
+    entries.forEach(([k, r]) => findForms(r))
+    let shared = forms.length > 0 && forms.every(([p, f]) => f && f.payload == forms[0][1].payload)
+    if (shared) {
+      header.add(g7s('PLAC', null, g7s('FORM', forms[0][1].payload)))
+      forms.forEach(pf => { pf.push(pf[0].subs.indexOf(pf[1])); pf[0].subs.splice(pf[2], 1) })
+    }
+    
+    let dataset = [header, ...(options.xrefs == 'counter' ? entries.map(([k, r]) => r) : stableRecords(entries, hidden)), g7s('TRLR')]
+    if (options.validate) validateG7(dataset, error)
+    let ans
+    if (options.tree) {
+      if (options.outputVersion == '5.5.1' || options.gedzip) error('options.tree gives GEDCOM 7.0 records, not 5.5.1 or GEDZIP')
+      ans = copyTree(dataset)
+    }
+    else ans = options.outputVersion == '5.5.1' ? GEDCOM7To551(dataset, error) : dataset.join('')
+    if (options.gedzip && !options.tree) {
+      if (options.outputVersion == '5.5.1') error('GEDZIP files are for GEDCOM 7.0, not 5.5.1')
+      ans = GEDZIP(ans, options.media, error)
+    }
+    if (shared) forms.forEach(([p, f, i]) => p.subs.splice(i, 0, f)) // put back for later dumps
+    swaps.reverse().forEach(([s, subs]) => s.subs = subs)
+    return ans
+  }
+}
+
+/**
+ * Parses a GEDCOM 7.0 dataset into the same {tag, id, payload, subs} tree
+ * GEDCOMXConverter builds, with pointer payloads replaced by the record they point to.
+ * Pointers to missing records are left as `{xref}` objects.
+ * 
+ * @param {string} text - a GEDCOM 7.0 dataset
+ * @param {function} error - a vararg function accepting error messages; for example, `console.error`
+ * @returns {object[]} the records of the dataset, including HEAD and TRLR
+ */
+function parseG7(text, error) {
+  if (!error) error = (...args) => {}
+  const xrefs = {}
+  const stack = [{subs:[]}]
+  text.replace(/^\uFEFF/,'').split(/\r\n?|\n/).forEach((line, num) => {
+    if (!line) return
+    let m = /^([0-9]+) (?:@([^@]+)@ )?([A-Za-z0-9_]+)(?: (.*))?$/.exec(line)
+    if (!m) return error(`Line ${num+1} is not a GEDCOM line: ${line}`)
+    let [_, level, id, tag, payload] = m
+    level = Number(level)
+    if (level >= stack.length) return error(`Line ${num+1} skips a level: ${line}`)
+    if (payload === undefined) payload = null
+    else if (/^@[^@#][^@]*@$/.test(payload) && payload != '@VOID@') payload = {xref: payload.slice(1,-1)}
+    else if (payload.startsWith('@@')) payload = payload.substr(1)
+    if (tag == 'CONT') {
+      stack[level].payload = (stack[level].payload || '') + '\n' + (payload || '')
+      return
+    }
+    let s = {tag, id: id || null, payload, subs:[]}
+    if (id) xrefs[id] = s
+    stack[level].subs.push(s)
+    stack.length = level+1
+    stack.push(s)
+  })
+  const resolve = s => {
+    if (s.payload?.xref && s.payload.xref in xrefs) s.payload = xrefs[s.payload.xref]
+    s.subs.forEach(resolve)
+  }
+  stack[0].subs.forEach(resolve)
+  return stack[0].subs
+}
+
+/**
+ * Writes records as a GEDCOM 7.0 dataset, the inverse of parseG7.
+ * Records are `{tag, id, payload, subs}` trees like those from parseG7 or
+ * `dump()` with `options.tree`, where `id` is the xref and a pointer's payload is the record it points to;
+ * `id` and `subs` may be omitted, so records added by hand can be as simple as `{tag: 'SUBM', subs: [...]}`.
+ * Records pointed to without an `id` are given one, and pointers to records not in the list become `@VOID@`.
+ *
+ * @param {object[]} records - the records of the dataset, including HEAD and TRLR
+ * @param {object} [options]
+ * @param {string} [options.lineEnding] - '\n' (the default), '\r\n', or '\r'
+ * @param {boolean} [options.bom] - start with a byte-order mark
+ * @returns {string} a GEDCOM 7.0 dataset
+ */
+function writeG7(records, options) {
+  let eol = options?.lineEnding || '\n'
+  let ids = new Set(records.map(r => r.id).filter(x => x)), next = 0
+  let included = new Set(records)
+  const pointer = r => {
+    if (!included.has(r)) return '@VOID@'
+    if (!r.id) {
+      do next += 1; while (ids.has('X'+next))
+      ids.add(r.id = 'X'+next)
+    }
+    return '@'+r.id+'@'
+  }
+  const line = (s, level) => {
+    let text = level + (s.id && level == 0 ? ' @'+s.id+'@' : '') + ' ' + s.tag
+    if (s.payload && 'object' == typeof s.payload) text += ' ' + pointer(s.payload)
+    else if (s.payload == '@VOID@') text += ' @VOID@' // a pointer to nothing, not text starting with @
+    else if (s.payload) {
+      let txt = s.payload.replace(/^@/, '@@').replace(/\r\n?/g, '\n').replace(/\n(@?)/g, `\n${level+1} CONT $1$1`).replace(/ CONT $/mg, ' CONT')
+      text += (txt[0] == '\n' ? '' : ' ') + txt.replace(/\n/g, eol)
+    }
+    return text + eol + (s.subs || []).map(s2 => line(s2, level+1)).join('')
+  }
+  records.forEach(r => (function find(s) { // so pointers to records after them have ids too
+    if (s.payload && 'object' == typeof s.payload) pointer(s.payload)
+    s.subs?.forEach(find)
+  })(r))
+  return (options?.bom ? '\uFEFF' : '') + records.map(r => line(r, 0)).join('')
+}
+
+/**
+ * Converts a GEDCOM 7.0 dataset to a JSON-friendly form: one `{tag, payload, subs}` object
+ * per structure, with `xref` on records that have one, a pointer's payload written as `@xref@`,
+ * and `payload` and `subs` left out when there are none.
+ *
+ * @param {string|object[]} dataset - a GEDCOM 7.0 dataset, or its records as `{tag, id, payload, subs}` trees
+ * @param {function} [error] - a vararg function accepting error messages; for example, `console.error`
+ * @returns {object[]} the records of the dataset, including HEAD and TRLR, suitable for JSON.stringify
+ */
+function GEDCOM7ToJSON(dataset, error) {
+  let records = 'string' == typeof dataset ? parseG7(dataset, error) : parseG7(writeG7(dataset), error)
+  const json = s => {
+    let ans = {tag: s.tag}
+    if (s.id) ans.xref = s.id
+    if (s.payload && 'object' == typeof s.payload) ans.payload = '@'+(s.payload.id || s.payload.xref)+'@'
+    else if (s.payload !== null) ans.payload = s.payload
+    if (s.subs.length > 0) ans.subs = s.subs.map(json)
+    return ans
+  }
+  return records.map(json)
+}
+
+/**
+ * Given a GEDCOM 7.0 dataset as a string, returns a FamilySearch-style
+ * GEDCOM X object suitable for JSON.stringify.
+ * 
+ * This inverts the mappings used by GEDCOMXConverter where it can.
+ * Parts of g7 that gx lacks become gx notes, as described in g7-vs-gx.md:
+ * PHRASE, NO, and FAMC.STAT all become notes on the nearest gx conclusion.
+ * FAM records are split into one Couple relationship between HUSB and WIFE
+ * and one ParentChild relationship between each of them and each CHIL.
+ * 
+ * @param {string} text - a GEDCOM 7.0 dataset
+ * @param {function} error - a vararg function accepting error messages; for example, `console.error`
+ * @returns {object} a corresponding GEDCOM X dataset
+ */
+function GEDCOM7ToX(text, error) {
   
-  const famof = {} // d'aboville default family of person
+  if (!error) error = (...args) => {}
+  
+  const resolve = s => {
+    if (s.payload && 'object' == typeof s.payload && !s.payload.tag) {
+      error(`Pointer to missing record @${s.payload.xref}@`)
+      s.payload = null
+    }
+    s.subs.forEach(resolve)
+  }
+  const records = parseG7(text, error)
+  records.forEach(resolve)
+  
+  const sub = (s, tag) => s.subs.find(x => x.tag == tag)
+  const subs = (s, tag) => s.subs.filter(x => x.tag == tag)
   
-  gx.persons?.forEach(doPerson)
-  gx.relationships?.forEach(doRelationship1)
-  // note: relations will add substructures to existing persons
+  // extension tags by URI, from HEAD.SCHMA
+  const schma = {}
+  records.filter(r => r.tag == 'HEAD').forEach(h => subs(h, 'SCHMA').forEach(sc => subs(sc, 'TAG').forEach(t => {
+    let [tag, uri] = t.payload.split(' ')
+    schma[uri] = tag
+  })))
+  const ext = tag => schma['https://github.com/gedcom7code/xto7/blob/main/extensions.md#'+tag.toLowerCase()] || tag
+  const relocated = tag => schma['https://gedcom.io/terms/v7/'+tag] || '_'+tag
+  const exid = (s, type) => subs(s, 'EXID').find(x => sub(x, 'TYPE')?.payload == type)?.payload
+  const invert = o => Object.fromEntries(Object.entries(o).map(([k,v]) => [v,k]))
+  const label = uri => uri.replace(/.*\//, '').replace(/([a-z])([A-Z])/g, '$1 $2')
   
-  Object
-    .entries(gennumber)
-    .sort((a,b)=>a[0].length-b[0].length || a[0].localeCompare(b[0]))
-    .forEach(doGenerationCode)
+  let gx = {persons:[], relationships:[], sourceDescriptions:[], places:[]}
   
+  const ids = new Map()
+  let nextId = 0
+  const idOf = (r, type) => {
+    if (!ids.has(r)) ids.set(r, exid(r, type) || r.id || 'G'+(nextId += 1))
+    return ids.get(r)
+  }
+  const ref = (r, type) => ({resource: '#'+idOf(r, type), resourceId: idOf(r, type)})
   
   
+  const months = {'JAN':'01','FEB':'02','MAR':'03','APR':'04','MAY':'05','JUN':'06','JUL':'07','AUG':'08','SEP':'09','OCT':'10','NOV':'11','DEC':'12'}
+  const oneDate = d => {
+    let m = /^(?:GREGORIAN )?(?:([0-9]{1,2}) )?(?:([A-Z]{3}) )?([0-9]+)( BCE)?$/.exec(d)
+    if (!m || (m[2] && !(m[2] in months)) || (m[1] && !m[2])) return null
+    let [_, D, M, Y, bce] = m
+    Y = Number(Y)
+    if (bce) Y = 1-Y
+    return (Y < 0 ? '-' : '+') + String(Math.abs(Y)).padStart(4,'0') + (M ? '-'+months[M] : '') + (D ? '-'+D.padStart(2,'0') : '')
+  }
+  const formalDate = (d, time) => {
+    let m, a, b
+    if (m = /^(?:ABT|CAL|EST) (.*)$/.exec(d)) return (a = oneDate(m[1])) ? 'A'+a : null
+    if (m = /^(?:BET (.*) AND|FROM (.*) TO) (.*)$/.exec(d)) return (a = oneDate(m[1] || m[2])) && (b = oneDate(m[3])) ? a+'/'+b : null
+    if (m = /^(?:AFT|FROM) (.*)$/.exec(d)) return (a = oneDate(m[1])) ? a+'/' : null
+    if (m = /^(?:BEF|TO) (.*)$/.exec(d)) return (b = oneDate(m[1])) ? '/'+b : null
+    if (!(a = oneDate(d))) return null
+    if (time) a += 'T' + time.payload
+    return a
+  }
+  const doDate = d => {
+    let ans = {original: sub(d, 'PHRASE')?.payload || d.payload}
+    if (d.payload) {
+      let formal = formalDate(d.payload, sub(d, 'TIME'))
+      if (formal) ans.formal = formal
+    }
+    return ans
+  }
+  
+  const doPlace = p => {
+    let ans = {original: p.payload}
+    let map = sub(p, 'MAP')
+    if (map && !(sub(map, 'LATI')?.payload && sub(map, 'LONG')?.payload)) {
+      error(`PLAC ${p.payload} has a MAP without both LATI and LONG`)
+      map = null
+    }
+    let id = exid(p, 'https://gedcom.io/exid-type/FamilySearch-PlaceId')
+    if (id || map) {
+      if (!id) id = 'G'+(nextId += 1)
+      let desc = gx.places.find(x => x.id == id)
+      if (!desc) {
+        desc = {id, names:[{value: p.payload}]}
+        if (sub(p, 'LANG')) desc.names[0].lang = sub(p, 'LANG').payload
+        subs(p, 'TRAN').forEach(t => { if (t.payload != p.payload) desc.names.push({lang: sub(t, 'LANG')?.payload, value: t.payload}) })
+        if (map) {
+          let deg = s => (/^[SW]/.test(s.payload) ? -1 : 1) * Number(s.payload.substr(1))
+          desc.latitude = deg(sub(map, 'LATI'))
+          desc.longitude = deg(sub(map, 'LONG'))
+        }
+        gx.places.push(desc)
+      }
+      ans.description = '#'+id
+    }
+    return ans
+  }
+  
+  const doNote = n => {
+    let text = n.tag == 'SNOTE' ? n.payload?.payload : n.payload
+    if (!text) return null
+    let ans = {text}
+    let m = /^([^\n]*):\n\n([\s\S]*)$/.exec(text)
+    if (m) { ans.subject = m[1]; ans.text = m[2] }
+    let lang = sub(n, 'LANG') || (n.tag == 'SNOTE' && sub(n.payload, 'LANG'))
+    if (lang) ans.lang = lang.payload
+    return ans
+  }
+  const doSource = s => {
+    if (!s.payload || 'object' != typeof s.payload) return null
+    let ans = {
+      description: '#'+idOf(s.payload, 'https://gedcom.io/exid-type/FamilySearch-SourceDescriptionId'),
+      descriptionId: idOf(s.payload, 'https://gedcom.io/exid-type/FamilySearch-SourceDescriptionId'),
+    }
+    // the page is part of this reference, not of the source it refers to
+    if (sub(s, 'PAGE')) ans.qualifiers = [{name: 'http://gedcomx.org/Page', value: sub(s, 'PAGE').payload}]
+    return ans
+  }
+  /** notes for the g7 structures with no gx equivalent */
+  const doLost = s => {
+    let ans = []
+    subs(s, 'PHRASE').forEach(p => ans.push({text: p.payload}))
+    subs(s, 'NO').forEach(no => {
+      let type = invert(gxFactTypes.person.etags)[no.payload] || invert(gxFactTypes.couple.etags)[no.payload]
+      let text = 'No '+(type ? label(type) : no.payload)
+      if (sub(no, 'DATE')) text += ' ('+doDate(sub(no, 'DATE')).original+')'
+      ans.push({text})
+    })
+    return ans
+  }
+  /** the conclusion parts common to names, facts, persons, and relationships */
+  const doConclusion = (s, ans) => {
+    let sources = subs(s, 'SOUR').map(doSource).filter(x=>x)
+    let notes = [...subs(s, 'NOTE'), ...subs(s, 'SNOTE')].map(doNote).filter(x=>x).concat(doLost(s))
+    if (sources.length > 0) ans.sources = sources
+    if (notes.length > 0) ans.notes = notes
+    return ans
+  }
+  
+  const doFact = (s, types) => {
+    let ans = null
+    let type = sub(s, 'TYPE')?.payload
+    if (s.tag in invert(types.etags)) {
+      ans = {type: invert(types.etags)[s.tag]}
+      if (type) ans.value = type
+    } else if (s.tag in invert(types.atags)) {
+      ans = {type: invert(types.atags)[s.tag], value: s.payload}
+    } else if (s.tag == 'EVEN' && type in invert(types.evens)) {
+      ans = {type: invert(types.evens)[type]}
+      if (s.payload) ans.value = s.payload
+    } else if ((s.tag == 'FACT' || s.tag == 'EVEN') && type in invert(types.facts)) { // EVEN for those without a value
+      ans = {type: invert(types.facts)[type]}
+      if (s.payload) ans.value = s.payload
+    } else if ((s.tag == 'EVEN' || s.tag == 'FACT') && type) {
+      ans = {type: /^[a-z]+:\/\/\S+$/.test(type) ? type : 'data:,'+encodeURIComponent(type)} // URIs are unmapped gx types
+      if (s.payload) ans.value = s.payload
+    } else return null
+    if (ans.value == 'Y') delete ans.value
+    if (sub(s, 'DATE')) ans.date = doDate(sub(s, 'DATE'))
+    if (sub(s, 'PLAC')) ans.place = doPlace(sub(s, 'PLAC'))
+    let qualifiers = []
+    if (sub(s, 'AGE')) qualifiers.push({name:'http://gedcomx.org/Age', value: sub(s, 'AGE').payload})
+    if (sub(s, 'CAUS')) qualifiers.push({name:'http://gedcomx.org/Cause', value: sub(s, 'CAUS').payload})
+    if (sub(s, 'RELI')) qualifiers.push({name:'http://gedcomx.org/Religion', value: sub(s, 'RELI').payload})
+    if (qualifiers.length > 0) ans.qualifiers = qualifiers
+    return doConclusion(s, ans)
+  }
+  
+  const doNameForm = n => {
+    let ans = {fullText: (n.payload || '').replace(/\//g, '').replace(/\uFF0F/g, '/').replace(/\s+/g, ' ').trim()}
+    let lang = sub(n, n.tag == 'NAME' ? relocated('LANG') : 'LANG')
+    if (lang && lang.payload != 'und') ans.lang = lang.payload
+    let parts = []
+    let primary = sub(n, ext('_RUFNAM'))?.payload
+    n.subs.forEach(s => {
+      let part
+      switch(s.tag) {
+        case 'NPFX': part = {type:'http://gedcomx.org/Prefix', value:s.payload}; break
+        case 'GIVN':
+          part = {type:'http://gedcomx.org/Given', value:s.payload}
+          if (s.payload == primary) part.qualifiers = [{name:'http://gedcomx.org/Primary'}]
+          break
+        case 'SPFX': part = {type:'http://gedcomx.org/Surname', value:s.payload, qualifiers:[{name:'http://gedcomx.org/Particle'}]}; break
+        case 'SURN': part = {type:'http://gedcomx.org/Surname', value:s.payload}; break
+        case 'NSFX': part = {type:'http://gedcomx.org/Suffix', value:s.payload}; break
+        case 'NICK': part = {value:s.payload, qualifiers:[{name:'http://gedcomx.org/Familiar'}]}; break
+        default: return
+      }
+      subs(s, ext('_QUAL')).forEach(q => {
+        let [_, name, value] = /^(\S+)(?: (.*))?$/.exec(q.payload)
+        let qual = {name: name.includes(':') ? name : 'http://gedcomx.org/'+name}
+        if (value) qual.value = value
+        part.qualifiers = [...(part.qualifiers || []), qual]
+      })
+      parts.push(part)
+    })
+    if (parts.length == 0 && n.payload?.includes('/')) { // infer parts from surname slashes
+      let [given, surname, suffix] = n.payload.split('/').map(x => x.replace(/\uFF0F/g, '/').trim())
+      if (given) parts.push({type:'http://gedcomx.org/Given', value:given})
+      if (surname) parts.push({type:'http://gedcomx.org/Surname', value:surname})
+      if (suffix) parts.push({type:'http://gedcomx.org/Suffix', value:suffix})
+    }
+    if (parts.length > 0) ans.parts = parts
+    return ans
+  }
+  const nameTypes = {
+    'BIRTH': 'http://gedcomx.org/BirthName',
+    'MARRIED': 'http://gedcomx.org/MarriedName',
+    'AKA': 'http://gedcomx.org/AlsoKnownAs',
+    'AKA Nickname': 'http://gedcomx.org/Nickname',
+    'OTHER Adoptive name': 'http://gedcomx.org/AdoptiveName',
+    'OTHER Formal name': 'http://gedcomx.org/FormalName',
+    'OTHER Religious name': 'http://gedcomx.org/ReligiousName',
+  }
+  const doName = n => {
+    let ans = {nameForms: [doNameForm(n), ...subs(n, 'TRAN').map(doNameForm)]}
+    let notes = []
+    let type = sub(n, 'TYPE')
+    if (type) {
+      let phrase = sub(type, 'PHRASE')?.payload
+      if (phrase && nameTypes[type.payload+' '+phrase]) ans.type = nameTypes[type.payload+' '+phrase]
+      else if (nameTypes[type.payload]) {
+        ans.type = nameTypes[type.payload]
+        if (phrase) notes.push({text: phrase})
+      } else notes.push({text: 'Name type: '+(phrase || type.payload.toLowerCase())})
+    }
+    if (sub(n, relocated('DATE'))) ans.date = doDate(sub(n, relocated('DATE')))
+    doConclusion(n, ans)
+    if (notes.length > 0) ans.notes = [...(ans.notes || []), ...notes]
+    return ans
+  }
+  
+  const ignored = ['EXID','UID','FAMC','FAMS','CHAN','CREA','SUBM','OBJE','ASSO','ALIA','ANCI','DESI','REFN','SNOTE','NOTE','SOUR','PHRASE','NO']
+  const doIndi = r => {
+    let p = {id: idOf(r, 'https://gedcom.io/exid-type/FamilySearch-PersonId')}
+    let names = [], facts = []
+    r.subs.forEach(s => {
+      if (s.tag == 'SEX') {
+        p.gender = {type: {M:'http://gedcomx.org/Male', F:'http://gedcomx.org/Female', X:'http://gedcomx.org/Intersex'}[s.payload] || 'http://gedcomx.org/Unknown'}
+      } else if (s.tag == 'FACT' && sub(s, 'TYPE')?.payload == 'Gender') {
+        p.gender = {type: s.payload}
+      } else if (s.tag == 'NAME') {
+        names.push(doName(s))
+      } else if (s.tag == 'DEAT' && s.payload == 'Y' && s.subs.length == 0) {
+        p.living = false
+      } else if (s.tag == 'NO' && s.payload == 'DEAT') {
+        p.living = true
+      } else if (s.tag[0] == '_') {
+        // extensions not understood here
+      } else if (s.tag == 'RESN') {
+        p.personInfo = [{readOnly: s.payload.includes('LOCKED'), visibleToAll: !s.payload.includes('PRIVACY')}]
+      } else {
+        let f = doFact(s, gxFactTypes.person)
+        if (f) facts.push(f)
+        else if (!ignored.includes(s.tag)) error(`No gx equivalent for INDI.${s.tag}`)
+      }
+    })
+    if (subs(r, 'DEAT').length > 0 && !('living' in p)) p.living = false
+    if (names.length > 0) p.names = names
+    if (names.length > 1) names[0].preferred = true // g7 lists the preferred NAME first
+    if (facts.length > 0) p.facts = facts
+    doConclusion(r, p)
+    let nodeat = subs(r, 'NO').findIndex(s => s.payload == 'DEAT')
+    if (nodeat >= 0) p.notes = p.notes.filter(n => n.text != 'No Death')
+    if (p.notes?.length == 0) delete p.notes
+    gx.persons.push(p)
+  }
+  
+  const pedigrees = {
+    'BIRTH': 'http://gedcomx.org/BiologicalParent',
+    'ADOPTED': 'http://gedcomx.org/AdoptiveParent',
+    'FOSTER': 'http://gedcomx.org/FosterParent',
+    'OTHER Step': 'http://gedcomx.org/StepParent',
+    'OTHER Guardian': 'http://gedcomx.org/GuardianParent',
+  }
+  const doFam = r => {
+    const person = 'https://gedcom.io/exid-type/FamilySearch-PersonId'
+    let parents = [sub(r, 'HUSB'), sub(r, 'WIFE')].map(s => s?.payload).filter(x => x && 'object' == typeof x)
+    if (parents.length == 2) {
+      let couple = {
+        id: idOf(r, 'https://gedcom.io/exid-type/FamilySearch-RelationshipId'),
+        type: 'http://gedcomx.org/Couple',
+        person1: ref(parents[0], person),
+        person2: ref(parents[1], person),
+      }
+      let facts = r.subs.map(s => doFact(s, gxFactTypes.couple)).filter(x=>x)
+      if (facts.length > 0) couple.facts = facts
+      doConclusion(r, couple)
+      gx.relationships.push(couple)
+    } else if (r.subs.some(s => doFact(s, gxFactTypes.couple))) {
+      error('Family facts without two spouses have no gx equivalent')
+    }
+    subs(r, 'CHIL').forEach(c => {
+      if (!c.payload || 'object' != typeof c.payload) return
+      let famc = subs(c.payload, 'FAMC').find(s => s.payload == r)
+      let stat = famc && sub(famc, 'STAT')
+      let notes = stat ? [{text: 'Child linkage status: '+(sub(stat, 'PHRASE')?.payload || stat.payload.toLowerCase())}] : []
+      let pedi = famc && sub(famc, 'PEDI')
+      let lineage = pedi && pedigrees[pedi.payload+' '+sub(pedi, 'PHRASE')?.payload] || pedigrees[pedi?.payload]
+      if (pedi && !lineage) notes.push({text: 'Pedigree: '+(sub(pedi, 'PHRASE')?.payload || pedi.payload.toLowerCase())})
+      if (stat?.payload == 'DISPROVEN') {
+        // no ParentChild relationship, so note that on the child instead
+        let child = gx.persons.find(p => p.id == idOf(c.payload, person))
+        if (child) child.notes = [...(child.notes || []), {text: 'Disproven child of '+parents.map(p => idOf(p, person)).join(' and ')}]
+        return
+      }
+      parents.forEach(p => {
+        let rel = {type: 'http://gedcomx.org/ParentChild', person1: ref(p, person), person2: ref(c.payload, person)}
+        if (lineage) rel.facts = [{type: lineage}]
+        if (notes.length > 0) rel.notes = notes
+        gx.relationships.push(rel)
+      })
+    })
+  }
+  
+  const associations = {
+    'OTHER Enslaver': ['http://gedcomx.org/EnslavedBy', 1],
+    'GODP': ['http://gedcomx.org/Godparent', 2],
+  }
+  const doAsso = (r, a) => {
+    if (!a.payload || 'object' != typeof a.payload) return
+    const person = 'https://gedcom.io/exid-type/FamilySearch-PersonId'
+    let role = sub(a, 'ROLE')
+    let phrase = sub(role || a, 'PHRASE')?.payload || role?.payload.toLowerCase() || 'associate'
+    let [type, holder] = associations[role?.payload+' '+phrase] || associations[role?.payload] || ['data:,'+encodeURIComponent(phrase), 1]
+    let rel = {type, person1: ref(holder == 1 ? r : a.payload, person), person2: ref(holder == 1 ? a.payload : r, person)}
+    gx.relationships.push(doConclusion(a, rel))
+  }
+  const doGroup = r => {
+    const person = 'https://gedcom.io/exid-type/FamilySearch-PersonId'
+    let ans = {id: r.id || 'G'+(nextId += 1), names: subs(r, 'NAME').map(n => ({value: n.payload}))}
+    if (sub(r, 'DATE')) ans.date = doDate(sub(r, 'DATE'))
+    if (sub(r, 'PLAC')) ans.places = subs(r, 'PLAC').map(doPlace)
+    ans.roles = subs(r, 'ASSO').filter(a => a.payload && 'object' == typeof a.payload).map(a => {
+      let role = {person: ref(a.payload, person)}
+      let phrase = sub(sub(a, 'ROLE') || a, 'PHRASE')?.payload
+      if (phrase && phrase != 'Member') role.details = phrase
+      return role
+    })
+    gx.groups = [...(gx.groups || []), doConclusion(r, ans)]
+  }
+  
+  const doSour = r => {
+    let ans = {id: idOf(r, 'https://gedcom.io/exid-type/FamilySearch-SourceDescriptionId')}
+    let title = sub(r, 'TITL')?.payload
+    if (title) ans.titles = [{value: title}]
+    ans.citations = [{value: sub(r, 'PUBL')?.payload || title || ans.id}]
+    let about = sub(r, 'WWW') || sub(r, relocated('WWW')) || exid(r, 'http://www.w3.org/2001/XMLSchema#anyURI')
+    if (about) ans.about = about.payload || about
+    let notes = [...subs(r, 'NOTE'), ...subs(r, 'SNOTE')].map(doNote).filter(x=>x)
+    if (notes.length > 0) ans.notes = notes
+    gx.sourceDescriptions.push(ans)
+  }
+  
+  records.filter(r => r.tag == 'INDI').forEach(doIndi)
+  records.filter(r => r.tag == 'FAM').forEach(doFam)
+  records.filter(r => r.tag == 'INDI').forEach(r => subs(r, 'ASSO').forEach(a => doAsso(r, a)))
+  records.filter(r => r.tag == 'SOUR').forEach(doSour)
+  records.filter(r => r.tag == ext('_GROUP')).forEach(doGroup)
+  records.forEach(r => {
+    if (!['HEAD','TRLR','INDI','FAM','SOUR','SNOTE','OBJE','SUBM','REPO',ext('_GROUP')].includes(r.tag))
+      error(`No gx equivalent for record ${r.tag}`)
+  })
+  
+  Object.keys(gx).forEach(k => { if (gx[k].length == 0) delete gx[k] })
+  return gx
+}
+
+/**
+ * The GEDCOM 7.0 structures validateG7 knows, by structure type. Each is
+ * [payload type, {tag: 'cardinality structure-type'}] where cardinality is
+ * 1 (exactly one), ? (at most one), * (any number), or + (at least one).
+ * Payload types are null for no payload, a datatype name, Enum: or List:
+ * followed by the allowed values, or @ and the record type pointed to.
+ */
+const g7Structures = (() => {
+  const each = (tags, spec) => Object.fromEntries(tags.split(' ').map(t => [t, spec]))
+  const notes = {NOTE:'* NOTE', SNOTE:'* SNOTE'}
+  const ids = {REFN:'* REFN', UID:'* Text', EXID:'* EXID'}
+  const changes = {CHAN:'? CHAN', CREA:'? CREA'}
+  const contacts = {ADDR:'? ADDR', PHON:'* Text', EMAIL:'* Text', FAX:'* Text', WWW:'* Text'}
+  const phrase = {PHRASE:'? Text'}
+  const nameParts = each('NPFX GIVN NICK SPFX SURN NSFX', '* Text')
+  const detail = {DATE:'? DATE', PLAC:'? PLAC', ...contacts, AGNC:'? Text', RELI:'? Text', CAUS:'? Text',
+    RESN:'? RESN', SDATE:'? DATE', ASSO:'* ASSO', ...notes, SOUR:'* SOUR', OBJE:'* OBJE', UID:'* Text'}
+  const indiDetail = {...detail, AGE:'? AGE', TYPE:'? Text'}
+  const famDetail = {...detail, HUSB:'? FAM-EVENT-SPOUSE', WIFE:'? FAM-EVENT-SPOUSE', TYPE:'? Text'}
+  const ordinance = {DATE:'? DATE', TEMP:'? Text', PLAC:'? PLAC', STAT:'? ord-STAT', ...notes, SOUR:'* SOUR'}
+  const indiEvents = 'BAPM BARM BASM BLES BURI CENS CHRA CONF CREM DEAT EMIG FCOM GRAD IMMI NATU ORDN PROB RETI WILL'
+  const famEvents = 'ANUL CENS DIV DIVF ENGA MARB MARC MARL MARR MARS'
+  const events = 'ADOP BIRT CHR EVEN '+indiEvents+' '+famEvents
+  return {
+    'dataset': [null, {HEAD:'1 HEAD', INDI:'* record-INDI', FAM:'* record-FAM', OBJE:'* record-OBJE',
+      REPO:'* record-REPO', SNOTE:'* record-SNOTE', SOUR:'* record-SOUR', SUBM:'* record-SUBM', TRLR:'1 TRLR'}],
+    'HEAD': [null, {GEDC:'1 GEDC', SCHMA:'? SCHMA', SOUR:'? HEAD-SOUR', DEST:'? Text', DATE:'? DATE-exact',
+      SUBM:'? SUBM', COPR:'? Text', LANG:'? LANG', PLAC:'? HEAD-PLAC', NOTE:'? NOTE', SNOTE:'? SNOTE'}],
+    'GEDC': [null, {VERS:'1 Text'}],
+    'SCHMA': [null, {TAG:'* TAG'}],
+    'TAG': ['TagDef', {}],
+    'HEAD-SOUR': ['Text', {VERS:'? Text', NAME:'? Text', CORP:'? CORP', DATA:'? HEAD-SOUR-DATA'}],
+    'CORP': ['Text', contacts],
+    'HEAD-SOUR-DATA': ['Text', {DATE:'? DATE-exact', COPR:'? Text'}],
+    'HEAD-PLAC': [null, {FORM:'1 Text'}],
+    'TRLR': [null, {}],
+    
+    'record-INDI': [null, {RESN:'? RESN', NAME:'* INDI-NAME', SEX:'? SEX',
+      ...each('CAST DSCR EDUC NATI OCCU PROP RELI RESI SSN TITL', '* INDI-ATTR'),
+      IDNO:'* IDNO', NCHI:'* INDI-NCHI', NMR:'* INDI-NCHI', FACT:'* INDI-FACT',
+      ...each(indiEvents, '* INDI-EVENT'), BIRT:'* INDI-BIRT', CHR:'* INDI-BIRT', ADOP:'* INDI-ADOP',
+      EVEN:'* INDI-EVEN', NO:'* NO', ...each('BAPL CONL ENDL INIL', '* ORD'), SLGC:'* SLGC',
+      FAMC:'* INDI-FAMC', FAMS:'* INDI-FAMS', SUBM:'* SUBM', ASSO:'* ASSO', ALIA:'* ALIA',
+      ANCI:'* SUBM', DESI:'* SUBM', ...ids, ...notes, SOUR:'* SOUR', OBJE:'* OBJE', ...changes}],
+    'INDI-NAME': ['Text', {TYPE:'? NAME-TYPE', ...nameParts, TRAN:'* NAME-TRAN', ...notes, SOUR:'* SOUR'}],
+    'NAME-TYPE': ['Enum:AKA BIRTH IMMIGRANT MAIDEN MARRIED PROFESSIONAL OTHER', phrase],
+    'NAME-TRAN': ['Text', {LANG:'1 LANG', ...nameParts}],
+    'SEX': ['Enum:M F X U', {}],
+    'RESN': ['List:CONFIDENTIAL LOCKED PRIVACY', {}],
+    'INDI-ATTR': ['Text', indiDetail],
+    'INDI-NCHI': ['Integer', indiDetail],
+    'IDNO': ['Text', {...indiDetail, TYPE:'1 Text'}],
+    'INDI-FACT': ['Text', {...indiDetail, TYPE:'1 Text'}],
+    'INDI-EVENT': ['Y', indiDetail],
+    'INDI-BIRT': ['Y', {...indiDetail, FAMC:'? FAMC'}],
+    'INDI-ADOP': ['Y', {...indiDetail, FAMC:'? ADOP-FAMC'}],
+    'ADOP-FAMC': ['@FAM', {ADOP:'? ADOP-ADOP'}],
+    'ADOP-ADOP': ['Enum:HUSB WIFE BOTH', phrase],
+    'INDI-EVEN': ['Text?', {...indiDetail, TYPE:'1 Text'}],
+    'INDI-FAMC': ['@FAM', {PEDI:'? PEDI', STAT:'? FAMC-STAT', ...notes}],
+    'PEDI': ['Enum:ADOPTED BIRTH FOSTER SEALING OTHER', phrase],
+    'FAMC-STAT': ['Enum:CHALLENGED DISPROVEN PROVEN', phrase],
+    'INDI-FAMS': ['@FAM', notes],
+    'ALIA': ['@INDI', phrase],
+    'SLGC': [null, {...ordinance, FAMC:'1 FAMC'}],
+    
+    'record-FAM': [null, {RESN:'? RESN', ...each(famEvents, '* FAM-EVENT'), EVEN:'* FAM-EVEN',
+      NCHI:'* FAM-NCHI', RESI:'* FAM-ATTR', FACT:'* FAM-FACT', NO:'* NO',
+      HUSB:'? FAM-SPOUSE', WIFE:'? FAM-SPOUSE', CHIL:'* FAM-SPOUSE', ASSO:'* ASSO', SUBM:'* SUBM',
+      SLGS:'* ORD', ...ids, ...notes, SOUR:'* SOUR', OBJE:'* OBJE', ...changes}],
+    'FAM-SPOUSE': ['@INDI', phrase],
+    'FAM-EVENT': ['Y', famDetail],
+    'FAM-EVEN': ['Text?', {...famDetail, TYPE:'1 Text'}],
+    'FAM-NCHI': ['Integer', famDetail],
+    'FAM-ATTR': ['Text', famDetail],
+    'FAM-FACT': ['Text', {...famDetail, TYPE:'1 Text'}],
+    'FAM-EVENT-SPOUSE': [null, {AGE:'1 AGE'}],
+    
+    'record-OBJE': [null, {RESN:'? RESN', FILE:'+ FILE', ...ids, ...notes, SOUR:'* SOUR', ...changes}],
+    'FILE': ['Text', {FORM:'1 FORM', TITL:'? Text', TRAN:'* FILE-TRAN'}],
+    'FORM': ['Mime', {MEDI:'? MEDI'}],
+    'MEDI': ['Enum:AUDIO BOOK CARD ELECTRONIC FICHE FILM MAGAZINE MANUSCRIPT MAP NEWSPAPER PHOTO TOMBSTONE VIDEO OTHER', phrase],
+    'FILE-TRAN': ['Text', {FORM:'1 MIME'}],
+    'record-REPO': [null, {NAME:'1 Text', ...contacts, ...notes, ...ids, ...changes}],
+    'record-SNOTE': ['Text', {MIME:'? MIME', LANG:'? LANG', TRAN:'* NOTE-TRAN', SOUR:'* SOUR', ...ids, ...changes}],
+    'record-SOUR': [null, {DATA:'? SOUR-DATA', AUTH:'? Text', TITL:'? Text', ABBR:'? Text', PUBL:'? Text',
+      TEXT:'? TEXT', REPO:'* SOUR-REPO', ...ids, ...notes, OBJE:'* OBJE', ...changes}],
+    'SOUR-DATA': [null, {EVEN:'* SOUR-DATA-EVEN', AGNC:'? Text', ...notes}],
+    'SOUR-DATA-EVEN': ['Text', {DATE:'? DATE', PLAC:'? PLAC'}],
+    'SOUR-REPO': ['@REPO', {...notes, CALN:'* CALN'}],
+    'CALN': ['Text', {MEDI:'? MEDI'}],
+    'record-SUBM': [null, {NAME:'1 Text', ...contacts, OBJE:'* OBJE', LANG:'* LANG', ...notes, ...ids, ...changes}],
+    
+    'ORD': [null, ordinance],
+    'ord-STAT': ['Enum:BIC CANCELED CHILD COMPLETED EXCLUDED DNS DNS_CAN INFANT PRE_1970 STILLBORN SUBMITTED UNCLEARED',
+      {DATE:'1 DATE-exact'}],
+    'NO': ['Enum:'+events, {DATE:'? DATE', ...notes, SOUR:'* SOUR'}],
+    'ASSO': ['@INDI', {...phrase, ROLE:'1 ROLE', ...notes, SOUR:'* SOUR'}],
+    'ROLE': ['Enum:CHIL CLERGY FATH FRIEND GODP HUSB MOTH MULTIPLE NGHBR OFFICIATOR PARENT SPOU WIFE WITN OTHER', phrase],
+    'SOUR': ['@SOUR', {PAGE:'? Text', DATA:'? SOUR-CITE-DATA', EVEN:'? SOUR-EVEN', QUAY:'? QUAY', OBJE:'* OBJE', ...notes}],
+    'SOUR-CITE-DATA': [null, {DATE:'? DATE', TEXT:'* TEXT'}],
+    'SOUR-EVEN': ['Enum:'+events, {...phrase, ROLE:'? ROLE'}],
+    'QUAY': ['Enum:0 1 2 3', {}],
+    'TEXT': ['Text', {MIME:'? MIME', LANG:'? LANG'}],
+    'NOTE': ['Text', {MIME:'? MIME', LANG:'? LANG', TRAN:'* NOTE-TRAN', SOUR:'* SOUR'}],
+    'NOTE-TRAN': ['Text', {MIME:'? MIME', LANG:'? LANG'}],
+    'OBJE': ['@OBJE', {CROP:'? CROP', TITL:'? Text'}],
+    'CROP': [null, each('TOP LEFT HEIGHT WIDTH', '? Integer')],
+    'EXID': ['Text', {TYPE:'1 Text'}],
+    'REFN': ['Text', {TYPE:'? Text'}],
+    'CHAN': [null, {DATE:'1 DATE-exact', ...notes}],
+    'CREA': [null, {DATE:'1 DATE-exact'}],
+    'DATE': ['Date', {TIME:'? TIME', ...phrase}],
+    'DATE-exact': ['DateExact', {TIME:'? TIME'}],
+    'PLAC': ['Text', {FORM:'? Text', LANG:'? LANG', TRAN:'* PLAC-TRAN', MAP:'? MAP', EXID:'* EXID', ...notes}],
+    'PLAC-TRAN': ['Text', {LANG:'1 LANG'}],
+    'MAP': [null, {LATI:'1 LATI', LONG:'1 LONG'}],
+    'ADDR': ['Text?', each('ADR1 ADR2 ADR3 CITY STAE POST CTRY', '? Text')],
+    'AGE': ['Age', phrase],
+    
+    'FAMC': ['@FAM', {}],
+    'SNOTE': ['@SNOTE', {}],
+    'SUBM': ['@SUBM', {}],
+    'Text': ['Text', {}],
+    'Integer': ['Integer', {}],
+    'TIME': ['Time', {}],
+    'LANG': ['Lang', {}],
+    'MIME': ['Mime', {}],
+    'LATI': ['Lati', {}],
+    'LONG': ['Long', {}],
+  }
+})()
+
+/**
+ * Checks a GEDCOM 7.0 dataset against the g7 structure rules in g7Structures:
+ * tag and xref syntax, duplicate xrefs, pointer targets, substructures that are
+ * not allowed, missing, or repeated too often, and payload datatypes.
+ * Extension structures are checked only for syntax and pointer targets.
+ * 
+ * @param {string|object[]} dataset - a GEDCOM 7.0 string, or its records
+ *   (including HEAD and TRLR) as {tag, id, payload, subs} trees
+ * @param {function} error - a vararg function accepting error messages; for example, `console.error`
+ * @returns {string[]} the problems found, each also passed to `error`
+ */
+function validateG7(dataset, error) {
+  if (!error) error = (...args) => {}
+  
+  const problems = []
+  const problem = (path, msg) => { problems.push(path+': '+msg); error(path+': '+msg) }
+  const records = 'string' == typeof dataset ? parseG7(dataset, msg => problem('line', msg)) : dataset
+  
+  const months = {
+    GREGORIAN: 'JAN FEB MAR APR MAY JUN JUL AUG SEP OCT NOV DEC',
+    FRENCH_R: 'VEND BRUM FRIM NIVO PLUV VENT GERM FLOR PRAI MESS THER FRUC COMP',
+    HEBREW: 'TSH CSH KSL TVT SHV ADR ADS NSN IYR SVN TMZ AAV ELL',
+  }
+  months.JULIAN = months.GREGORIAN
+  const oneDate = d => {
+    let m = /^(?:(GREGORIAN|JULIAN|FRENCH_R|HEBREW|_[A-Z0-9_]+) )?(?:(?:([0-9]+) )?([A-Z0-9_]+) )?([0-9]+)(?: (BCE|_[A-Z0-9_]+))?$/.exec(d)
+    if (!m) return false
+    let [_, cal, day, month, year, epoch] = m
+    if (!cal) cal = 'GREGORIAN'
+    if (cal[0] == '_') return true
+    if (month && month[0] != '_' && !months[cal].split(' ').includes(month)) return false
+    if (day && (Number(day) < 1 || Number(day) > 31)) return false
+    return epoch != 'BCE' || cal == 'GREGORIAN' || cal == 'JULIAN'
+  }
+  const enumValue = (v, values) => values.split(' ').includes(v) || /^_[A-Z0-9_]+$/.test(v)
+  const datatypes = {
+    Text: v => v != '',
+    'Text?': v => true,
+    Y: v => v == 'Y',
+    Integer: v => /^[0-9]+$/.test(v),
+    Date: v => {
+      let m = /^(?:FROM (.+?) TO (.+)|FROM (.+)|TO (.+)|BET (.+?) AND (.+)|AFT (.+)|BEF (.+)|(?:ABT|CAL|EST) (.+)|(.+))$/.exec(v)
+      return m.slice(1).filter(x => x).every(oneDate)
+    },
+    DateExact: v => new RegExp(`^[0-9]{1,2} (${months.GREGORIAN.replace(/ /g,'|')}) [0-9]+$`).test(v),
+    Time: v => /^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9](\.[0-9]+)?)?Z?$/.test(v),
+    Age: v => /^([<>] )?([0-9]+y( [0-9]+m)?( [0-9]+w)?( [0-9]+d)?|[0-9]+m( [0-9]+w)?( [0-9]+d)?|[0-9]+w( [0-9]+d)?|[0-9]+d)$/.test(v),
+    Lati: v => /^[NS][0-9]+(\.[0-9]+)?$/.test(v) && Number(v.substr(1)) <= 90,
+    Long: v => /^[EW][0-9]+(\.[0-9]+)?$/.test(v) && Number(v.substr(1)) <= 180,
+    Lang: v => /^[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*$/.test(v),
+    Mime: v => /^[-!#$%&'*+.^_`|~0-9A-Za-z]+\/[-!#$%&'*+.^_`|~0-9A-Za-z]+( *;.*)?$/.test(v),
+    TagDef: v => /^_[A-Z0-9_]+ \S+$/.test(v),
+  }
   
+  const known = new Set(records)
+  const label = r => r.tag + (r.id ? ' @'+r.id+'@' : '')
   
-  if (extensions) header.add(g7s('SCHMA',null, ...extensions))
-  return header + Object.values(records).join('') + trailer
+  // syntax, xrefs, and pointers, everywhere including extensions
+  const counts = {}
+  records.forEach(r => { if (r.id) counts[r.id] = (counts[r.id] || 0) + 1 })
+  Object.entries(counts).filter(([id, n]) => n > 1).forEach(([id]) => problem('@'+id+'@', `used as the xref of ${counts[id]} records`))
+  const syntax = (s, path, depth) => {
+    if (!/^([A-Z][A-Z0-9_]*|_[A-Z0-9_]+)$/.test(s.tag)) problem(path, `"${s.tag}" is not a valid tag`)
+    if (s.id && (depth > 0 || !/^[A-Z0-9_]+$/.test(s.id) || s.id == 'VOID')) problem(path, `"@${s.id}@" is not a valid xref here`)
+    if (s.payload && 'object' == typeof s.payload && !known.has(s.payload))
+      problem(path, s.payload.xref || s.payload.id ? `points to missing record @${s.payload.xref || s.payload.id}@` : 'points to a record not in the dataset')
+    s.subs.forEach(s2 => syntax(s2, path+'.'+s2.tag, depth+1))
+  }
+  records.forEach(r => syntax(r, label(r), 0))
+  
+  // structure and payloads, skipping extensions
+  const payload = (s, type, path) => {
+    let v = s.payload
+    if (type === null) {
+      if (v !== null) problem(path, 'should not have a payload')
+    } else if (type[0] == '@') {
+      if (v === null || 'object' != typeof v) {
+        if (v != '@VOID@') problem(path, `should point to a ${type.substr(1)} record`)
+      } else if (known.has(v) && v.tag != type.substr(1)) problem(path, `points to a ${v.tag}, not a ${type.substr(1)}`)
+    } else if (v && 'object' == typeof v) problem(path, 'should not be a pointer')
+    else if (type.startsWith('Enum:')) {
+      if (!enumValue(v, type.substr(5))) problem(path, `"${v}" is not one of ${type.substr(5)}`)
+    } else if (type.startsWith('List:')) {
+      if (!v || !v.split(/ *, */).every(x => enumValue(x, type.substr(5)))) problem(path, `"${v}" is not a list of ${type.substr(5)}`)
+    } else if (type == 'Y') {
+      if (v !== null && v != 'Y') problem(path, `"${v}" should be Y or empty`)
+    } else if (v === null) {
+      if (!['Text?', 'Date', 'Age'].includes(type)) problem(path, `missing ${type} payload`)
+    } else if (!datatypes[type](v)) problem(path, `"${v}" is not a valid ${type}`)
+  }
+  const check = (s, type, path) => {
+    let [ptype, allowed] = g7Structures[type]
+    if (s) payload(s, ptype, path)
+    let subs = s ? s.subs : records
+    let seen = {}
+    subs.forEach(s2 => {
+      seen[s2.tag] = (seen[s2.tag] || 0) + 1
+      let p2 = s ? path+'.'+s2.tag : label(s2)
+      if (s2.tag[0] == '_') return
+      if (!(s2.tag in allowed)) return problem(p2, `not allowed ${s ? 'under '+s.tag : 'as a record'}`)
+      check(s2, allowed[s2.tag].substr(2), p2)
+    })
+    Object.entries(allowed).forEach(([tag, spec]) => {
+      let n = seen[tag] || 0
+      if ((spec[0] == '1' || spec[0] == '+') && n == 0) problem(path, `missing required ${tag}`)
+      if ((spec[0] == '1' || spec[0] == '?') && n > 1) problem(path, `has ${n} ${tag} but at most one is allowed`)
+    })
+  }
+  check(null, 'dataset', 'dataset')
+  if (records[0]?.tag != 'HEAD') problem('dataset', 'does not begin with HEAD')
+  if (records[records.length-1]?.tag != 'TRLR') problem('dataset', 'does not end with TRLR')
+  
+  return problems
+}
+
+/**
+ * Converts a GEDCOM 7.0 dataset to GEDCOM 5.5.1, for software that cannot read 7.0.
+ *
+ * Structures new in 7.0 are downgraded: EXID becomes REFN with TYPE on records
+ * and a NOTE elsewhere, UID becomes _UID, NO becomes a NOTE, PHRASE becomes a date phrase
+ * in parentheses, an ASSO RELA, or a NOTE, SNOTE becomes a NOTE record, and SCHMA is dropped.
+ * A TRAN in a romanized or phonetic language (like `ja-Latn` or `ja-Kana`) becomes ROMN or FONE;
+ * other name TRANs become another NAME, and other TRANs become NOTEs.
+ * The header gets CHAR UTF-8, SOUR, and SUBM (with a placeholder SUBM record if there is none),
+ * and long lines are split with CONC at 255 characters.
+ *
+ * @param {string|object[]} dataset - a GEDCOM 7.0 dataset, or its records as `{tag, id, payload, subs}` trees
+ * @param {function} error - a vararg function accepting error messages; for example, `console.error`
+ * @returns {string} a GEDCOM 5.5.1 dataset
+ */
+function GEDCOM7To551(dataset, error) {
+  if (!error) error = (...args) => {}
+  let records = 'string' == typeof dataset ? parseG7(dataset, error) : dataset
+  const sub = (s, tag) => s.subs.find(x => x.tag == tag)
+  const node = (tag, payload, ...subs) => ({tag, id: null, payload: payload || null, subs: subs.flat().filter(x => x)})
+
+  // 5.5.1 xrefs are at most 20 characters, and every record has one
+  let xref = new Map(), used = new Set(records.map(r => r.id).filter(x => x)), count = 0
+  records.filter(r => r.tag != 'HEAD' && r.tag != 'TRLR').forEach(r => {
+    let id = r.id
+    if (!id || id.length > 20) {
+      do id = 'X'+(count += 1); while (used.has(id))
+      used.add(id)
+    }
+    xref.set(r, id)
+  })
+  let subm = records.find(r => r.tag == 'SUBM')
+  let added = []
+  if (!subm) {
+    subm = node('SUBM', null, node('NAME', 'Unknown'))
+    let id = 'SUBM'
+    while (used.has(id)) id += '_'
+    xref.set(subm, subm.id = id)
+    added.push(subm)
+  }
+
+  const calendars = {GREGORIAN: '@#DGREGORIAN@', JULIAN: '@#DJULIAN@', FRENCH_R: '@#DFRENCH R@', HEBREW: '@#DHEBREW@'}
+  const roles = {CHIL:'child', CLERGY:'clergy', FATH:'father', FRIEND:'friend', GODP:'godparent', HUSB:'husband', MOTH:'mother',
+    MULTIPLE:'multiple', NGHBR:'neighbor', OFFICIATOR:'officiator', PARENT:'parent', SPOU:'spouse', WIFE:'wife', WITN:'witness', OTHER:'other'}
+  const extensions = {'image/jpeg':'jpg', 'image/png':'png', 'image/gif':'gif', 'image/bmp':'bmp', 'image/tiff':'tif',
+    'audio/wav':'wav', 'application/pdf':'pdf', 'text/html':'htm', 'application/vnd.google-earth.kml+xml':'kml'}
+  const transliteration = lang => /-Latn\b/i.test(lang) ? 'ROMN' : /-(?:Kana|Hira|Hrkt|Hang|Bopo|fonipa)\b/i.test(lang) ? 'FONE' : null
+  const method = (tag, lang) => ({ROMN: {ja: 'romaji', zh: 'pinyin'}, FONE: {ja: 'kana', ko: 'hangul'}})[tag][lang.split('-')[0]] || lang
+  // structures that can have a NOTE in 5.5.1, to hold what has no other place
+  const notable = (tag, parent) => ['INDI','FAM','SOUR','REPO','OBJE','NAME','PLAC','ASSO','FAMC','FAMS','CHAN'].includes(tag)
+    || (['INDI','FAM'].includes(parent?.tag) && tag[0] != '_' && !['SEX','RESN','HUSB','WIFE','CHIL','SUBM','NOTE','SNOTE','EXID','UID','REFN'].includes(tag))
+
+  const date = (s, parent, notes) => {
+    let text = (s.payload || '').replace(/\b(GREGORIAN|JULIAN|FRENCH_R|HEBREW)\b/g, c => calendars[c]).replace(/ BCE\b/g, ' B.C.')
+    let time = sub(s, 'TIME')?.payload, phrase = sub(s, 'PHRASE')?.payload
+    let subs = []
+    if (time && ['CHAN','CREA','HEAD'].includes(parent.tag)) {
+      subs.push(node('TIME', time.replace(/Z$/, '')))
+      time = null
+    }
+    let words = [time && time.replace(/Z$/, ' UTC'), phrase].filter(x => x).join(', ').replace(/@/g, '@@')
+    let ans = node('DATE', text, subs)
+    ans.raw = true // calendar escapes are not doubled @
+    if (!words) return [ans]
+    if (!text) ans.payload = `(${words})`
+    else if (!/^(BET|FROM|TO|AFT|BEF|ABT|CAL|EST) /.test(text)) ans.payload = `INT ${text} (${words})`
+    else notes.push('Date: '+words)
+    return [ans]
+  }
+
+  /** the 5.5.1 structures for one g7 structure; notes gets text for a NOTE on its superstructure */
+  const convert = (s, parent, notes) => {
+    let phrase = sub(s, 'PHRASE')?.payload
+    const kids = (from = s) => {
+      let mine = []
+      let ans = from.subs.flatMap(c => convert(c, from, mine))
+      if (notable(from.tag, parent)) return [...ans, ...mine.map(t => node('NOTE', t))]
+      notes.push(...mine)
+      return ans
+    }
+    const same = (tag = s.tag, payload = s.payload) => [node(tag, payload, kids())]
+
+    if (s.payload == '@VOID@' || (s.payload && 'object' == typeof s.payload && !xref.has(s.payload))) { // 5.5.1 has no @VOID@
+      if (s.tag == 'SOUR') return [node('SOUR', phrase || 'Unknown source', kids())]
+      let role = s.tag == 'ASSO' && sub(s, 'ROLE') && convert(sub(s, 'ROLE'), s, [])[0]?.payload
+      if (phrase) notes.push(role ? `${phrase}: ${role}` : phrase)
+      return []
+    }
+    switch(s.tag) {
+      case 'PHRASE': case 'TIME': return [] // handled by their superstructure
+      case 'SCHMA': case 'MIME': case 'CROP': return []
+      case 'UID': case 'CREA': case 'SDATE': case 'INIL': return same('_'+s.tag)
+      case 'LANG': return same('_LANG') // 5.5.1 LANG is a language name, not a BCP 47 tag
+      case 'EXID': {
+        let type = sub(s, 'TYPE')?.payload?.replace('https://gedcom.io/exid-type/', '')
+        if (xref.has(parent) && s.payload.length <= 20) return [node('REFN', s.payload, type && node('TYPE', type.slice(0, 40)))]
+        notes.push(type ? type+': '+s.payload : s.payload)
+        return []
+      }
+      case 'NO': {
+        let text = ['No '+s.payload, sub(s, 'DATE')?.payload].filter(x => x).join(' ')
+        s.subs.filter(c => c.tag == 'NOTE').forEach(n => text += '\n' + n.payload)
+        return [node('NOTE', text, ...s.subs.filter(c => c.tag == 'SOUR').flatMap(c => convert(c, s, [])))]
+      }
+      case 'DATE': return date(s, parent, notes)
+      case 'AGE': {
+        let word = ['CHILD','INFANT','STILLBORN'].find(w => phrase?.toUpperCase() == w)
+        if (word) return [node('AGE', word)]
+        if (phrase) notes.push('Age: '+phrase)
+        let m = /^([<>] ?)?(?:([0-9]+)y)? ?(?:([0-9]+)m)? ?(?:([0-9]+)w)? ?(?:([0-9]+)d)?$/.exec(s.payload || '')
+        if (!m || !s.payload) return []
+        let days = (m[4] || m[5]) && 7*(m[4] || 0) + Number(m[5] || 0) // 5.5.1 has no weeks
+        return [node('AGE', [m[1]?.trim(), m[2] && m[2]+'y', m[3] && m[3]+'m', days !== undefined && days+'d'].filter(x => x).join(' '))]
+      }
+      case 'SEX': return [node('SEX', s.payload == 'X' ? 'U' : s.payload)]
+      case 'RESN': return [node('RESN', ['PRIVACY','CONFIDENTIAL','LOCKED'].find(v => s.payload.includes(v))?.toLowerCase())]
+      case 'PEDI': case 'STAT':
+        if (parent.tag != 'FAMC') return [node('STAT', s.payload.replace('PRE_1970', 'PRE-1970').replace('DNS_CAN', 'DNS/CAN'), kids())]
+        if (s.payload == 'OTHER') {
+          if (phrase) notes.push(phrase)
+          return []
+        }
+        return [node(s.tag, s.payload.toLowerCase())]
+      case 'TYPE':
+        if (parent.tag != 'NAME') return same()
+        return [node('TYPE', s.payload == 'OTHER' ? phrase : s.payload.toLowerCase())]
+      case 'MEDI': {
+        let medi = s.payload == 'OTHER' ? phrase : s.payload.toLowerCase()
+        return medi ? [node('MEDI', medi)] : []
+      }
+      case 'ROLE':
+        if (parent.tag == 'ASSO') return [node('RELA', phrase || roles[s.payload] || s.payload.toLowerCase())]
+        if (['CHIL','HUSB','WIFE','MOTH','FATH','SPOU'].includes(s.payload)) return [node('ROLE', s.payload)]
+        return [node('ROLE', '('+(phrase || roles[s.payload] || s.payload.toLowerCase())+')')]
+      case 'FILE': {
+        let form = sub(s, 'FORM'), medi = form && sub(form, 'MEDI')
+        let ext = extensions[form?.payload] || /\.([A-Za-z0-9]+)$/.exec(s.payload)?.[1] || form?.payload?.split('/').pop()
+        let type = medi && (medi.payload == 'OTHER' ? sub(medi, 'PHRASE')?.payload : medi.payload.toLowerCase())
+        return [node('FILE', s.payload, node('FORM', ext || 'unknown', type && node('TYPE', type)), kids({...s, subs: s.subs.filter(c => c != form)}))]
+      }
+      case 'OBJE':
+        if (s.payload && 'object' == typeof s.payload) return [node('OBJE', s.payload)] // 5.5.1 links have no CROP or TITL
+        return same()
+      case 'SNOTE': return same('NOTE')
+      case 'NOTE': {
+        let trans = s.subs.filter(c => c.tag == 'TRAN')
+        return [node('NOTE', s.payload, kids({...s, subs: s.subs.filter(c => c.tag == 'SOUR')})), ...trans.map(t => node('NOTE', t.payload))]
+      }
+      case 'NAME': {
+        if (parent?.tag != 'INDI') return same()
+        let others = s.subs.filter(c => c.tag == 'TRAN' && !transliteration(sub(c, 'LANG')?.payload || ''))
+        return [node('NAME', s.payload, kids({...s, subs: s.subs.filter(c => !others.includes(c))})),
+          ...others.map(t => node('NAME', t.payload, kids({...t, tag: 'NAME'})))]
+      }
+      case 'TRAN': {
+        let lang = sub(s, 'LANG')?.payload || ''
+        let tag = transliteration(lang)
+        if (tag && (parent.tag == 'NAME' || parent.tag == 'PLAC')) return [node(tag, s.payload, node('TYPE', method(tag, lang)), kids())]
+        notes.push(s.payload + (lang ? ` (${lang})` : ''))
+        return []
+      }
+      case 'FACT':
+        if (parent?.tag == 'FAM') return same('EVEN') // 5.5.1 FAM has no FACT
+        return same()
+      default:
+        if (phrase) notes.push(phrase)
+        return same()
+    }
+  }
+
+  let head = records.find(r => r.tag == 'HEAD') || node('HEAD')
+  const fromHead = tag => head.subs.filter(s => s.tag == tag).flatMap(s => convert(s, head, []))
+  let header = node('HEAD', null,
+    sub(head, 'SOUR') ? fromHead('SOUR') : node('SOUR', 'xto7', node('NAME', 'xto7')),
+    fromHead('DEST'),
+    fromHead('DATE'),
+    node('SUBM', subm),
+    node('GEDC', null, node('VERS', '5.5.1'), node('FORM', 'LINEAGE-LINKED')),
+    node('CHAR', 'UTF-8'),
+    fromHead('COPR'),
+    fromHead('PLAC'),
+    fromHead('NOTE'),
+  )
+  let out = [header, ...added]
+  records.filter(r => r.tag != 'HEAD' && r.tag != 'TRLR').forEach(r => {
+    let n = convert(r, null, [])[0]
+    n.id = xref.get(r)
+    out.push(n)
+  })
+  out.push(node('TRLR'))
+
+  /** splits text into pieces that fit in room characters once @ is doubled, the first in first */
+  const split = (text, first, room, raw) => {
+    const esc = c => raw ? c : c.replace(/@/g, '@@')
+    let pieces = []
+    let fits = first
+    while (text) {
+      let n = 0, len = 0
+      while (n < text.length && len + esc(text[n]).length <= fits) { len += esc(text[n]).length; n += 1 }
+      if (n < text.length) {
+        let m = n
+        while (m > 1 && (text[m-1] == ' ' || text[m] == ' ')) m -= 1 // some readers trim spaces next to CONC
+        if (m > 1) n = m
+        if (/[\uD800-\uDBFF]/.test(text[n-1])) n -= 1 // not inside a surrogate pair
+      }
+      pieces.push(esc(text.slice(0, n)))
+      text = text.slice(n)
+      fits = room
+    }
+    return pieces
+  }
+  const lines = (s, level) => {
+    let start = level + (s.id ? ' @'+s.id+'@' : '') + ' ' + s.tag
+    let ans = []
+    if (s.payload && 'object' == typeof s.payload) ans.push(start+' @'+xref.get(s.payload)+'@')
+    else if (s.payload) String(s.payload).split('\n').forEach((text, i) => {
+      let first = i == 0 ? start : (level+1)+' CONT'
+      let conc = (level+1)+' CONC'
+      let pieces = split(text, 254 - first.length, 254 - conc.length, s.raw)
+      ans.push(pieces.length > 0 ? first+' '+pieces[0] : first)
+      pieces.slice(1).forEach(p => ans.push(conc+' '+p))
+    })
+    else ans.push(start)
+    s.subs.forEach(c => ans.push(...lines(c, level+1)))
+    return ans
+  }
+  return out.map(r => lines(r, 0).join('\n')+'\n').join('')
+}
+
+/**
+ * Packages a GEDCOM 7.0 dataset as a GEDZIP file: a zip archive with the dataset as `gedcom.ged`
+ * and the media files it uses. FILEs that are data: URIs or keys of `media` are stored
+ * in the archive under `media/` and their payloads changed to that path;
+ * other FILEs, such as web URLs, are left as they are.
+ * The archive is not compressed, as most media formats already are.
+ *
+ * @param {string} g7 - a GEDCOM 7.0 dataset
+ * @param {object|Map} [media] - already-fetched media as Uint8Arrays, keyed by FILE payload (usually a URL)
+ * @param {function} [error] - a vararg function accepting error messages; for example, `console.error`
+ * @returns {Uint8Array} the contents of a .gdz file
+ */
+function GEDZIP(g7, media, error) {
+  if (!error) error = (...args) => {}
+  const utf8 = s => new TextEncoder().encode(s)
+  const extensions = {'image/jpeg':'jpg', 'image/png':'png', 'image/gif':'gif', 'image/tiff':'tif', 'image/webp':'webp',
+    'application/pdf':'pdf', 'text/plain':'txt', 'text/html':'html', 'audio/mpeg':'mp3', 'video/mp4':'mp4'}
+
+  let files = [], stored = {}
+  const store = (name, bytes) => {
+    let path = 'media/'+name
+    for(let n = 2; files.some(f => f[0] == path); n += 1) path = 'media/'+name.replace(/(\.[^.]*)?$/, `-${n}$1`)
+    files.push([path, bytes])
+    return path
+  }
+  let text = g7.replace(/^([0-9]+ FILE )(.+)$/mg, (line, start, url) => {
+    if (url in stored) return start + stored[url]
+    let bytes = media instanceof Map ? media.get(url) : media?.[url]
+    let name
+    if (bytes) name = url.replace(/[?#].*/, '').split('/').pop().replace(/%[0-9A-Fa-f]{2}|[^A-Za-z0-9._-]/g, '_') || 'file'
+    else if (url.startsWith('data:')) {
+      let m = /^data:([^;,]*)((?:;[^;,]*)*),([\s\S]*)$/.exec(url)
+      if (!m) {
+        error(`Cannot read data URI ${url.slice(0, 40)}...`)
+        return line
+      }
+      let [_, type, params, data] = m
+      try {
+        if (/;base64$/.test(params)) bytes = Uint8Array.from(atob(data), c => c.charCodeAt(0))
+        else bytes = utf8(decodeURIComponent(data))
+      } catch(e) {
+        error(`Cannot read data URI ${url.slice(0, 40)}...: ${e.message}`)
+        return line
+      }
+      name = 'file.'+(extensions[type || 'text/plain'] || 'bin')
+    }
+    else return line
+    return start + (stored[url] = store(name, bytes))
+  })
+  files.unshift(['gedcom.ged', utf8(text)])
+
+  // a zip file with every entry stored, not compressed
+  let crcTable = Array.from({length: 256}, (_, n) => {
+    for(let k = 0; k < 8; k += 1) n = n & 1 ? 0xEDB88320 ^ (n >>> 1) : n >>> 1
+    return n >>> 0
+  })
+  const crc32 = bytes => {
+    let c = 0xFFFFFFFF
+    for(let b of bytes) c = crcTable[(c ^ b) & 0xFF] ^ (c >>> 8)
+    return (c ^ 0xFFFFFFFF) >>> 0
+  }
+  const le = (...fields) => { // [byte count, value] pairs, little-endian
+    let view = new DataView(new ArrayBuffer(fields.reduce((n, [size]) => n + size, 0))), at = 0
+    fields.forEach(([size, value]) => {
+      if (size == 2) view.setUint16(at, value, true)
+      else view.setUint32(at, value, true)
+      at += size
+    })
+    return new Uint8Array(view.buffer)
+  }
+  const date = [[2, 0], [2, 0x21]] // 1980-01-01 00:00, so the same dataset gives the same file
+  let parts = [], central = [], offset = 0
+  files.forEach(([path, data]) => {
+    let name = utf8(path), crc = crc32(data)
+    let common = [[2, 20], [2, 0x0800], [2, 0], ...date, [4, crc], [4, data.length], [4, data.length], [2, name.length]] // version, UTF-8 names, stored
+    parts.push(le([4, 0x04034B50], ...common, [2, 0]), name, data)
+    central.push(le([4, 0x02014B50], [2, 20], ...common, [2, 0], [2, 0], [2, 0], [2, 0], [4, 0], [4, offset]), name)
+    offset += 30 + name.length + data.length
+  })
+  let size = central.reduce((n, a) => n + a.length, 0)
+  parts.push(...central, le([4, 0x06054B50], [2, 0], [2, 0], [2, files.length], [2, files.length], [4, size], [4, offset], [2, 0]))
+
+  let ans = new Uint8Array(parts.reduce((n, a) => n + a.length, 0)), at = 0
+  parts.forEach(a => { ans.set(a, at); at += a.length })
+  return ans
+}
+
+/**
+ * Compares two GEDCOM 7.0 datasets converted from the same tree at different times,
+ * matching INDI, FAM, and SOUR records by their FamilySearch EXIDs
+ * (or, failing that, FAM by their spouses and SOUR by their titles).
+ * 
+ * Each change is `{change, tag, key, label, details}` where change is 'added', 'removed', or 'changed',
+ * key is the matching key (usually a FamilySearch ID), label is a name or title for display,
+ * and details lists what changed in a changed record as `{path, old, new}`:
+ * a path like NAME, SEX, BIRT, BIRT.DATE, BIRT.PLAC, SOUR, FAMC, or CHIL
+ * with the old and new payloads, names, or titles (old is absent for additions, new for removals).
+ * 
+ * @param {string} oldText - the earlier GEDCOM 7.0 dataset
+ * @param {string} newText - the later GEDCOM 7.0 dataset
+ * @param {function} error - a vararg function accepting error messages; for example, `console.error`
+ * @returns {object} `{changes, gedcom}` with the array of changes and a GEDCOM 7.0 dataset
+ *   of the added and changed records from newText, with pointers to other records replaced by @VOID@
+ */
+function diffG7(oldText, newText, error) {
+  if (!error) error = (...args) => {}
+  
+  const fs = 'https://gedcom.io/exid-type/FamilySearch-'
+  const sub = (s, tag) => s.subs.find(x => x.tag == tag)
+  const exid = (r, type) => r.subs.find(s => s.tag == 'EXID' && sub(s, 'TYPE')?.payload == fs+type)?.payload
+  const name = r => sub(r, 'NAME')?.payload?.replace(/\//g, '')
+  
+  const index = text => {
+    let records = parseG7(text, error)
+    let keys = new Map()
+    const keyOf = r => {
+      if (!keys.has(r)) keys.set(r, null) // in case of pointer loops
+      else return keys.get(r)
+      let key = null
+      if (r.tag == 'INDI') key = exid(r, 'PersonId') || '@'+r.id
+      else if (r.tag == 'FAM') {
+        let people = tags => r.subs.filter(s => tags.includes(s.tag) && s.payload?.tag).map(s => keyOf(s.payload)).sort().join('+')
+        key = exid(r, 'RelationshipId') || exid(r, 'ChildAndParentsRelationshipId') || people(['HUSB','WIFE']) || people(['CHIL']) || '@'+r.id
+      }
+      else if (r.tag == 'SOUR') key = exid(r, 'SourceDescriptionId') || sub(r, 'TITL')?.payload || '@'+r.id
+      keys.set(r, key)
+      return key
+    }
+    const labelOf = r => {
+      if (r.tag == 'INDI') return name(r) || keyOf(r)
+      if (r.tag == 'FAM') return r.subs.filter(s => ['HUSB','WIFE'].includes(s.tag) && s.payload?.tag).map(s => labelOf(s.payload)).join(' & ') || keyOf(r)
+      return sub(r, 'TITL')?.payload || keyOf(r)
+    }
+    let byKey = new Map()
+    records.filter(r => ['INDI','FAM','SOUR'].includes(r.tag)).forEach(r => byKey.set(r.tag+' '+keyOf(r), r))
+    return {records, byKey, keyOf, labelOf}
+  }
+  const before = index(oldText), after = index(newText)
+  
+  const pointers = ['FAMC','FAMS','HUSB','WIFE','CHIL','SOUR','ASSO']
+  const notFacts = [...pointers, 'NAME','SEX','EXID','UID','REFN','CHAN','CREA','SUBM','NOTE','SNOTE','OBJE','RESN','TITL','AUTH','PUBL','ABBR','TEXT','REPO','DATA']
+  const details = (o, n) => {
+    let ans = []
+    const sets = (path, a, b) => {
+      a.filter(x => !b.includes(x)).forEach(x => ans.push({path, old: x}))
+      b.filter(x => !a.includes(x)).forEach(x => ans.push({path, new: x}))
+    }
+    const payloads = (r, tag) => r.subs.filter(s => s.tag == tag).map(s => s.payload || '')
+    for(let tag of ['NAME','SEX','TITL','AUTH','PUBL']) sets(tag, payloads(o, tag), payloads(n, tag))
+    for(let tag of pointers) { // compared by key, reported by label
+      let targets = r => r.subs.filter(s => s.tag == tag && s.payload?.tag).map(s => s.payload)
+      let a = targets(o), b = targets(n)
+      let ak = a.map(before.keyOf), bk = b.map(after.keyOf)
+      a.filter((x, i) => !bk.includes(ak[i])).forEach(x => ans.push({path: tag, old: before.labelOf(x)}))
+      b.filter((x, i) => !ak.includes(bk[i])).forEach(x => ans.push({path: tag, new: after.labelOf(x)}))
+    }
+    // facts, matched by tag and TYPE in the order they appear
+    const facts = r => {
+      let groups = {}
+      r.subs.filter(s => !notFacts.includes(s.tag) && s.tag[0] != '_').forEach(s => {
+        let k = s.tag + (sub(s, 'TYPE') ? ' '+sub(s, 'TYPE').payload : '')
+        if (!groups[k]) groups[k] = []
+        groups[k].push(s)
+      })
+      return groups
+    }
+    let of = facts(o), nf = facts(n)
+    const summary = s => [s.payload == 'Y' ? '' : s.payload, sub(s, 'DATE')?.payload, sub(s, 'PLAC')?.payload].filter(x => x).join(', ') || 'Y'
+    new Set([...Object.keys(of), ...Object.keys(nf)]).forEach(k => {
+      let a = of[k] || [], b = nf[k] || []
+      for(let i = 0; i < Math.max(a.length, b.length); i += 1) {
+        let path = a[i]?.tag || b[i].tag
+        if (!a[i]) ans.push({path, new: summary(b[i])})
+        else if (!b[i]) ans.push({path, old: summary(a[i])})
+        else {
+          if ((a[i].payload || '') != (b[i].payload || '')) ans.push({path, old: a[i].payload, new: b[i].payload})
+          for(let part of ['DATE', 'PLAC']) {
+            let x = sub(a[i], part)?.payload, y = sub(b[i], part)?.payload
+            if (x != y) ans.push({path: path+'.'+part, old: x, new: y})
+          }
+        }
+      }
+    })
+    return ans
+  }
+  
+  let changes = []
+  let changed = new Set()
+  after.byKey.forEach((r, k) => {
+    let o = before.byKey.get(k)
+    if (!o) {
+      changes.push({change: 'added', tag: r.tag, key: after.keyOf(r), label: after.labelOf(r)})
+      changed.add(r)
+    } else {
+      let d = details(o, r)
+      if (d.length > 0) {
+        changes.push({change: 'changed', tag: r.tag, key: after.keyOf(r), label: after.labelOf(r), details: d})
+        changed.add(r)
+      }
+    }
+  })
+  before.byKey.forEach((r, k) => {
+    if (!after.byKey.has(k)) changes.push({change: 'removed', tag: r.tag, key: before.keyOf(r), label: before.labelOf(r)})
+  })
+  
+  // the changed records, in GEDCOM form
+  const kept = [...after.records.filter(r => r.tag == 'HEAD'), ...after.records.filter(r => changed.has(r)), {tag: 'TRLR', id: null, payload: null, subs: []}]
+  return {changes, gedcom: writeG7(kept)}
+}
+
+/**
+ * Compares two FamilySearch-style GEDCOM X objects from the same tree at different times
+ * by converting each to GEDCOM 7.0 and comparing those with diffG7.
+ * 
+ * @param {object} oldGx - the earlier GEDCOM X dataset
+ * @param {object} newGx - the later GEDCOM X dataset
+ * @param {function} error - a vararg function accepting error messages; for example, `console.error`
+ * @param {object} [options] - as for GEDCOMXConverter, except that the conversions are always to GEDCOM 7.0 text
+ * @returns {object} as for diffG7
+ */
+function diffGX(oldGx, newGx, error, options) {
+  options = {...options, report: false, gedzip: false, tree: false, outputVersion: '7.0'}
+  return diffG7(GEDCOMXTo7(oldGx, error, options), GEDCOMXTo7(newGx, error, options), error)
+}
+
+// in Node, as a CommonJS module (which ESM can also import); in a browser these are globals
+if (typeof module != 'undefined' && module.exports) {
+  var { gxDateTo7, gxDateBounds, parseGXDate } = require('./gxdate.js')
+  module.exports = { gxFactTypes, GEDCOMXTo7, GEDCOMXConverter, parseG7, writeG7, GEDCOM7ToJSON, GEDCOM7ToX, validateG7, GEDCOM7To551, GEDZIP, diffG7, diffGX, gxDateTo7, gxDateBounds, parseGXDate }
 }
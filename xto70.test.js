@@ -0,0 +1,521 @@
+/* This code is dual licensed under the Unlicense and MIT licenses;
+ * see xto70.js for the text of both.
+ */
+
+/* Tests of xto70.js; run with npm test. Each gx object is the smallest that shows the behavior tested. */
+
+const test = require('node:test')
+const assert = require('node:assert')
+const x = require('./xto70.js')
+
+/** converts the gx objects with one converter, returning the g7 text and the errors reported */
+const convert = (gxs, options) => {
+  let errors = []
+  let converter = new x.GEDCOMXConverter((...msg) => errors.push(msg.join(' ')), options)
+  gxs.forEach(converter.feed)
+  return {g7: converter.dump(), errors}
+}
+/** the lines of g7 text that match re */
+const lines = (g7, re) => g7.split(/\r?\n/).filter(l => re.test(l))
+const person = (id, more) => ({id, names: [{nameForms: [{fullText: 'Person '+id}]}], ...more})
+const couple = (p1, p2, more) => ({type: 'http://gedcomx.org/Couple', person1: {resource: '#'+p1, resourceId: p1}, person2: {resource: '#'+p2, resourceId: p2}, ...more})
+
+
+test('user-001: feeds that share persons, relationships, and sources give one record for each', () => {
+  let source = {descriptionId: 'S1', description: '#S1'}
+  let {g7, errors} = convert([
+    {persons: [person('P1', {sources: [source]}), person('P2')], relationships: [couple('P1', 'P2', {id: 'R1'})]},
+    {persons: [person('P1'), person('P2', {sources: [source]})], relationships: [couple('P1', 'P2', {id: 'R1'})],
+      sourceDescriptions: [{id: 'S1', titles: [{value: 'Register'}]}]},
+  ], {validate: true})
+  assert.deepStrictEqual(errors, [])
+  assert.strictEqual(lines(g7, /^0 .* INDI$/).length, 2)
+  assert.strictEqual(lines(g7, /^0 .* FAM$/).length, 1)
+  assert.deepStrictEqual(lines(g7, /^0 .* SOUR$|^1 TITL/), ['0 @S_S1@ SOUR', '1 TITL Register'])
+})
+
+test('user-001: a person fed again replaces what the earlier feed said', () => {
+  const fed = (sex, living, year, occupation) => ({persons: [person('P1', {
+    living,
+    gender: {id: 'g1', type: 'http://gedcomx.org/'+sex},
+    names: [{id: 'n1', nameForms: [{fullText: 'Ann '+year}]}],
+    facts: [
+      {id: 'f1', type: 'http://gedcomx.org/Birth', date: {formal: '+'+year}},
+      {type: 'http://gedcomx.org/Occupation', value: occupation},
+    ],
+    personInfo: [{readOnly: living, visibleToAll: true}],
+  })]})
+  let {g7, errors} = convert([fed('Male', true, 1900, 'Smith'), fed('Female', false, 1901, 'Baker')], {validate: true})
+  assert.deepStrictEqual(errors, [])
+  assert.deepStrictEqual(lines(g7, /^1 (SEX|NAME|OCCU|RESN|NO|DEAT)|^2 DATE/),
+    ['1 SEX F', '1 NAME Ann 1901', '2 DATE 1901', '1 DEAT Y', '1 OCCU Baker'])
+})
+
+test('user-001: feeding the same export twice changes nothing', () => {
+  let gx = {persons: [person('P1', {gender: {type: 'http://gedcomx.org/Male'}, facts: [{type: 'http://gedcomx.org/Occupation', value: 'Smith'}]})]}
+  assert.strictEqual(convert([gx, gx]).g7, convert([gx]).g7)
+})
+
+/** g7 text converted to gx and back, with the errors reported either way */
+const roundTrip = g7 => {
+  let errors = []
+  const error = (...msg) => errors.push(msg.join(' '))
+  return {g7: x.GEDCOMXTo7(x.GEDCOM7ToX(g7, error), error), errors}
+}
+const dataset = (...records) => ['0 HEAD', '1 GEDC', '2 VERS 7.0', ...records, '0 TRLR', ''].join('\n')
+
+test('user-002: sources, pages, and publication facts survive g7 to gx and back', () => {
+  let {g7, errors} = roundTrip(dataset(
+    '0 @I1@ INDI', '1 NAME Ann /Smith/', '1 SOUR @S1@', '2 PAGE p. 4, line 2', '1 SOUR @S1@', '2 PAGE p. 9',
+    '0 @S1@ SOUR', '1 TITL Parish register', '1 PUBL Church of St Mary, 1850',
+  ))
+  assert.deepStrictEqual(errors, [])
+  assert.deepStrictEqual(lines(g7, /PAGE|TITL|PUBL/),
+    ['2 PAGE p. 4, line 2', '2 PAGE p. 9', '1 TITL Parish register', '1 PUBL Church of St Mary, 1850'])
+})
+
+test('user-002: event types and association phrases with reserved URI characters survive g7 to gx and back', () => {
+  let {g7, errors} = roundTrip(dataset(
+    '0 @I1@ INDI', '1 EVEN', '2 TYPE Owned land, 40 acres / lot 7?', '1 ASSO @I2@', '2 ROLE OTHER', '3 PHRASE Neighbour, next farm / east',
+    '0 @I2@ INDI',
+  ))
+  assert.deepStrictEqual(errors, [])
+  assert.deepStrictEqual(lines(g7, /^2 TYPE [^h]|PHRASE/), ['2 TYPE Owned land, 40 acres / lot 7?', '3 PHRASE Neighbour, next farm / east'])
+})
+
+test('user-002: a MAP without both LATI and LONG is reported, not converted', () => {
+  let errors = []
+  let gx = x.GEDCOM7ToX(dataset('0 @I1@ INDI', '1 BIRT', '2 PLAC Provo', '3 MAP', '4 LATI N40.2'), (...msg) => errors.push(msg.join(' ')))
+  assert.deepStrictEqual(errors, ['PLAC Provo has a MAP without both LATI and LONG'])
+  assert.deepStrictEqual(gx.persons[0].facts[0].place, {original: 'Provo'})
+})
+
+test('user-003: a source description becomes a SOUR record, with its repository as a REPO record', () => {
+  let {g7, errors} = convert([{
+    persons: [person('P1', {sources: [{description: '#S1', descriptionId: 'S1', qualifiers: [{name: 'http://familysearch.org/v1/Page', value: 'p. 4'}]}]})],
+    sourceDescriptions: [{id: 'S1', titles: [{value: 'Parish register'}], citations: [{value: 'St Mary, Provo, 1850'}],
+      authors: [{resource: '#A1'}], repository: {resource: '#A2', resourceId: 'A2'},
+      notes: [{subject: 'Transcription', text: 'Ann born', lang: 'en'}, {text: 'Faded'}]}],
+    agents: [{id: 'A1', names: [{value: 'Rev. Jones'}]}, {id: 'A2', names: [{value: 'Utah Archives'}]}],
+  }], {validate: true})
+  assert.deepStrictEqual(errors, [])
+  let sour = g7.split('0 @S_S1@ SOUR\n')[1].split('\n0 ')[0]
+  assert.deepStrictEqual(lines(sour, /^1/),
+    ['1 EXID S1', '1 TITL Parish register', '1 AUTH Rev. Jones', '1 PUBL St Mary, Provo, 1850', '1 REPO @R_A2@', '1 TEXT Ann born', '1 NOTE Faded'])
+  assert.deepStrictEqual(lines(g7, /PAGE|^0 @R_A2@|^1 NAME Utah/), ['2 PAGE p. 4', '0 @R_A2@ REPO', '1 NAME Utah Archives'])
+})
+
+/** the lines of the record with this xref in g7 text */
+const record = (g7, xref) => g7.split(new RegExp('^0 @'+xref+'@ ', 'm'))[1]?.split('\n0 ')[0]
+
+test('user-004: agents become SUBM records, and attribution becomes CREA, CHAN, and SUBM or _ATTR', () => {
+  let attribution = {contributor: {resource: '#A1', resourceId: 'A1'}, modified: 1610000000000}
+  let {g7, errors} = convert([{
+    persons: [person('P1', {attribution: {...attribution, created: 1600000000000, changeMessage: 'fixed'}, sources: [{description: '#S1', descriptionId: 'S1'}]})],
+    sourceDescriptions: [{id: 'S1', titles: [{value: 'Reg'}], attribution}],
+    agents: [{id: 'A1', names: [{value: 'Jane Doe'}], emails: [{resource: 'mailto:jane@example.com'}]}],
+  }], {validate: true})
+  assert.deepStrictEqual(errors, [])
+  assert.strictEqual(record(g7, 'U_A1'), 'SUBM\n1 NAME Jane Doe\n1 EMAIL jane@example.com')
+  assert.deepStrictEqual(lines(record(g7, 'I_P1'), /^1 (SUBM|CREA|CHAN)|^2 (DATE|NOTE)/),
+    ['1 SUBM @U_A1@', '1 CREA', '2 DATE 13 SEP 2020', '1 CHAN', '2 DATE 7 JAN 2021', '2 NOTE fixed'])
+  assert.deepStrictEqual(lines(record(g7, 'S_S1'), /^1 (SUBM|_ATTR|CHAN)/), ['1 _ATTR @U_A1@', '1 CHAN'])
+})
+
+test('user-005: ParentChild relationships make FAM records with CHIL and FAMC.PEDI', () => {
+  const parentChild = (p, c, lineage) => ({type: 'http://gedcomx.org/ParentChild',
+    person1: {resource: '#'+p, resourceId: p}, person2: {resource: '#'+c, resourceId: c},
+    facts: lineage && [{type: 'http://gedcomx.org/'+lineage}]})
+  let {g7, errors} = convert([{
+    persons: ['F', 'M', 'C', 'D'].map(id => person(id)),
+    relationships: [couple('F', 'M', {id: 'R1'}), parentChild('F', 'C', 'AdoptiveParent'), parentChild('M', 'C', 'AdoptiveParent'), parentChild('F', 'D')],
+  }], {validate: true})
+  assert.deepStrictEqual(errors, [])
+  assert.deepStrictEqual(lines(record(g7, 'I_C'), /^[12] (FAMC|PEDI)/), ['1 FAMC @F_F_M@', '2 PEDI ADOPTED'])
+  assert.deepStrictEqual(lines(record(g7, 'F_F_M'), /^1 (HUSB|WIFE|CHIL)/), ['1 HUSB @I_F@', '1 WIFE @I_M@', '1 CHIL @I_C@'])
+  assert.deepStrictEqual(lines(record(g7, 'F_F'), /^1 (HUSB|WIFE|CHIL)/), ['1 HUSB @I_F@', '1 CHIL @I_D@']) // a child of one known parent
+})
+
+test('user-006: non-family relationships become ASSO and groups become _GROUP records', () => {
+  let {g7, errors} = convert([{
+    persons: ['A', 'B', 'C'].map(id => person(id)),
+    relationships: [{type: 'http://gedcomx.org/Godparent', person1: {resource: '#A', resourceId: 'A'}, person2: {resource: '#B', resourceId: 'B'}}],
+    groups: [{id: 'G1', names: [{value: 'Choir'}], roles: [{person: {resource: '#A', resourceId: 'A'}}, {person: {resource: '#C', resourceId: 'C'}, details: 'Leader'}]}],
+  }], {validate: true})
+  assert.deepStrictEqual(errors, [])
+  assert.deepStrictEqual(lines(record(g7, 'I_B'), /^[123] (ASSO|ROLE|PHRASE)/), ['1 ASSO @I_A@', '2 ROLE GODP', '3 PHRASE Godparent'])
+  assert.strictEqual(record(g7, 'GROUP_G1'),
+    '_GROUP\n1 NAME Choir\n1 ASSO @I_A@\n2 ROLE OTHER\n3 PHRASE Member\n1 ASSO @I_C@\n2 ROLE OTHER\n3 PHRASE Leader')
+  assert.deepStrictEqual(lines(g7, /TAG _GROUP/), ['2 TAG _GROUP https://github.com/gedcom7code/xto7/blob/main/extensions.md#_group'])
+})
+
+test('user-007: the coverage report tells consumed, approximated, and ignored values apart', () => {
+  let {report} = x.GEDCOMXTo7({
+    persons: [person('P1', {
+      facts: [{type: 'http://gedcomx.org/Birth', date: {formal: 'not a date'}, place: {original: 'Here', description: '#pl1'}}],
+      notes: [{subject: 'Aside', text: 'Hi'}],
+    })],
+    places: [{id: 'pl1', names: [{value: 'Here'}], latitude: 1, longitude: 2}, {id: 'pl2', names: [{value: 'Unused'}]}],
+  }, () => {}, {report: true})
+  assert.strictEqual(report.paths['/persons/0/names/0/nameForms/0/fullText'], 'consumed')
+  assert.strictEqual(report.paths['/persons/0/facts/0/date/formal'], 'approximated')
+  assert.strictEqual(report.paths['/persons/0/notes/0/subject'], 'approximated')
+  assert.strictEqual(report.paths['/places/0/id'], 'consumed') // only used to resolve the place's description link
+  assert.strictEqual(report.paths['/places/1/id'], 'ignored')
+  assert.deepStrictEqual(report.totals['/places/*/id'], {consumed: 1, approximated: 0, ignored: 1})
+})
+
+test('user-008: HEAD.SCHMA documents each extension tag used, and no tag gets two meanings', () => {
+  let {g7, errors} = convert([{persons: [person('P1', {
+    names: [{nameForms: [{fullText: 'Ann', lang: 'en'}]}],
+    facts: [{type: 'http://example.com/One', value: '1'}, {type: 'http://example.com/Two', value: '2'}],
+  })]}], {validate: true, factTypes: {person: {exts: {'http://example.com/One': '_CUSTOM', 'http://example.com/Two': '_CUSTOM'}}}})
+  assert.deepStrictEqual(errors, ['Extension tag _CUSTOM already means http://example.com/One; using _CUSTOM2 for http://example.com/Two'])
+  assert.deepStrictEqual(lines(g7, /^2 TAG/), [
+    '2 TAG _LANG https://gedcom.io/terms/v7/LANG',
+    '2 TAG _CUSTOM http://example.com/One',
+    '2 TAG _CUSTOM2 http://example.com/Two',
+  ])
+  assert.deepStrictEqual(lines(g7, /^[12] _/), ['2 _LANG en', '1 _CUSTOM 1', '1 _CUSTOM2 2'])
+})
+
+test('user-009: validateG7 reports structure, payload, pointer, and xref problems', () => {
+  let g7 = dataset('0 @I1@ INDI', '1 SEX Q', '1 IDNO 5', '1 FAMC @F9@', '1 BIRT', '2 DATE 3 MAR 1950', '0 @I1@ INDI')
+  assert.deepStrictEqual(x.validateG7(g7, () => {}), [
+    '@I1@: used as the xref of 2 records',
+    'INDI @I1@.FAMC: points to missing record @F9@',
+    'INDI @I1@.SEX: "Q" is not one of M F X U',
+    'INDI @I1@.IDNO: missing required TYPE',
+  ])
+  assert.deepStrictEqual(x.validateG7(dataset('0 @I1@ INDI', '1 SEX F', '1 BIRT', '2 DATE 3 MAR 1950'), () => {}), [])
+})
+
+test('user-010: unmapped fact types follow options.unknownFactTypes', () => {
+  let gx = {persons: [person('P1', {facts: [{type: 'http://example.com/Odd', value: 'v'}]})]}
+  const facts = unknownFactTypes => {
+    let {g7, errors} = convert([gx], {unknownFactTypes})
+    return [lines(record(g7, 'I_P1'), /^[12] (EVEN|FACT|TYPE [^h]|TYPE http:\/\/ex|NOTE)/), errors]
+  }
+  assert.deepStrictEqual(facts(), [['1 EVEN', '2 TYPE http://example.com/Odd', '2 NOTE v'], ['Unknown person fact type: http://example.com/Odd']])
+  assert.deepStrictEqual(facts('FACT'), [['1 FACT v', '2 TYPE http://example.com/Odd'], []])
+  assert.deepStrictEqual(facts('skip'), [[], []])
+  assert.deepStrictEqual(facts((type, kind) => ({facts: 'Odd '+kind})), [['1 FACT v', '2 TYPE Odd person'], []])
+})
+
+test('user-010: a FACT type with no value becomes EVEN, and GEDCOM7ToX reads it back as that type', () => {
+  let gx = {persons: [person('P1', {facts: [{type: 'http://gedcomx.org/Award', date: {formal: '+1950'}}, {type: 'http://gedcomx.org/Clan', value: 'Campbell'}]})]}
+  let {g7, errors} = convert([gx], {validate: true})
+  assert.deepStrictEqual(errors, [])
+  assert.deepStrictEqual(lines(g7, /^1 (EVEN|FACT)|^2 TYPE A/), ['1 EVEN', '2 TYPE A person\'s award (medal, honor).', '1 FACT Campbell', '2 TYPE A person\'s clan.'])
+  assert.deepStrictEqual(x.GEDCOM7ToX(g7).persons[0].facts.map(f => [f.type, f.value]),
+    [['http://gedcomx.org/Award', undefined], ['http://gedcomx.org/Clan', 'Campbell']])
+})
+
+test('user-011: name part qualifiers and name types are kept, and the preferred name is first', () => {
+  const part = (type, value, qualifier) => ({type: 'http://gedcomx.org/'+type, value, qualifiers: qualifier && [{name: 'http://gedcomx.org/'+qualifier}]})
+  let {g7, errors} = convert([{persons: [person('P1', {names: [
+    {nameForms: [{fullText: 'Jo Bo'}]},
+    {preferred: true, type: 'http://gedcomx.org/BirthName', nameForms: [{fullText: 'Maria Anna van Berg Jr', parts: [
+      part('Given', 'Maria', 'Primary'), part('Given', 'Anna'), part('Surname', 'van', 'Particle'), part('Surname', 'Berg'),
+      part('Suffix', 'Jr'), part('Given', 'Ivanovna', 'Patronymic'),
+    ]}]},
+  ]})]}], {validate: true})
+  assert.deepStrictEqual(errors, [])
+  assert.deepStrictEqual(lines(record(g7, 'I_P1'), /^[123] (NAME|GIVN|_RUFNAM|SPFX|SURN|NSFX|_QUAL|TYPE [A-Z])/), [
+    '1 NAME Maria Anna /van Berg/ Jr', '2 GIVN Maria', '2 _RUFNAM Maria', '2 GIVN Anna', '2 SPFX van', '2 SURN Berg', '2 NSFX Jr',
+    '2 GIVN Ivanovna', '3 _QUAL Patronymic', '2 TYPE BIRTH',
+    '1 NAME Jo Bo',
+  ])
+})
+
+test('user-012: a fact date that cannot be converted keeps its original text as a PHRASE', () => {
+  let {g7, errors} = convert([{persons: [person('P1', {facts: [{type: 'http://gedcomx.org/Birth', date: {original: 'about 1890 or 1900', formal: '+1900/+1890'}}]})]}], {validate: true})
+  assert.deepStrictEqual(errors, ['gedcomx formal date "+1900/+1890" ends before it starts'])
+  assert.deepStrictEqual(lines(g7, /^[123] (BIRT|DATE|PHRASE)/), ['1 BIRT', '2 DATE', '3 PHRASE about 1890 or 1900'])
+})
+
+test('user-013: places are named as of the fact date, with jurisdictions and their types', () => {
+  const place = (id, name, type, more) => ({id, names: [{value: name}], type: 'http://familysearch.org/v1/place-types/'+type, ...more})
+  const fact = (type, year, desc) => ({type: 'http://gedcomx.org/'+type, date: {formal: '+'+year}, place: {original: desc, description: '#'+desc}})
+  let {g7, errors} = convert([{
+    persons: [person('P1', {facts: [fact('Birth', 1900, 'b1'), fact('Death', 1950, 'b1'), fact('Burial', 1950, 'p1')]})],
+    places: [
+      place('b1', 'Berlin', 186, {place: {resource: 'https://example.com/place/1'}, temporalDescription: {formal: '+1871/+1918'},
+        display: {type: 'City'}, jurisdiction: {resource: '#pr'}, latitude: 52.5, longitude: 13.4}),
+      place('b2', 'Berlin', 186, {place: {resource: 'https://example.com/place/1'}, temporalDescription: {formal: '+1945/'}, jurisdiction: {resource: '#de'}}),
+      place('pr', 'Prussia', 580, {display: {type: 'Country'}}),
+      place('de', 'Germany', 580), // a Country, like every place with FamilySearch place type 580
+      place('p1', 'Paris', 186, {jurisdiction: {resource: '#fr'}}),
+      place('fr', 'France', 999), // of no known type
+    ],
+  }], {validate: true})
+  assert.deepStrictEqual(errors, [])
+  assert.deepStrictEqual(lines(g7, /^[234] (PLAC|FORM|MAP|LATI|LONG)/), [
+    '2 PLAC Berlin, Prussia', '3 FORM City, Country', '3 MAP', '4 LATI N52.5', '4 LONG E13.4',
+    '2 PLAC Berlin, Germany', '3 FORM City, Country',
+    '2 PLAC Paris, France',
+  ])
+})
+
+test('user-013: a FORM every PLAC shares is given once, in HEAD.PLAC.FORM', () => {
+  let {g7, errors} = convert([{
+    persons: [person('P1', {facts: [{type: 'http://gedcomx.org/Birth', place: {original: 'Provo', description: '#pl1'}}]})],
+    places: [{id: 'pl1', names: [{value: 'Provo'}], display: {type: 'City'}, jurisdiction: {resource: '#pl2'}}, {id: 'pl2', names: [{value: 'Utah'}], display: {type: 'State'}}],
+  }], {validate: true})
+  assert.deepStrictEqual(errors, [])
+  assert.deepStrictEqual(lines(g7, /PLAC|FORM/), ['1 PLAC', '2 FORM City, State', '2 PLAC Provo, Utah'])
+})
+
+test('user-014: media become OBJE records, with the portrait first', () => {
+  let {g7, errors} = convert([{
+    persons: [person('P1', {links: {portrait: {href: 'https://example.com/p.jpg'}}, sources: [{description: '#M1'}]})],
+    sourceDescriptions: [{id: 'M1', resourceType: 'http://gedcomx.org/Image', about: 'https://example.com/a.png', titles: [{value: 'Photo'}]}],
+  }], {validate: true})
+  assert.deepStrictEqual(errors, [])
+  let portrait = lines(record(g7, 'I_P1'), /^1 OBJE/)[0].slice(8, -1)
+  assert.deepStrictEqual(lines(record(g7, 'I_P1'), /^1 OBJE/), ['1 OBJE @'+portrait+'@', '1 OBJE @O_M1@'])
+  assert.strictEqual(record(g7, portrait), 'OBJE\n1 FILE https://example.com/p.jpg\n2 FORM image/jpeg\n3 MEDI PHOTO')
+  assert.strictEqual(record(g7, 'O_M1'), 'OBJE\n1 FILE https://example.com/a.png\n2 FORM image/png\n3 MEDI PHOTO\n2 TITL Photo')
+})
+
+test('user-014: a fractional RectangleRegion is cropped in pixels if the image size is known, and reported if not', () => {
+  const gx = artifactMetadata => ({
+    sourceDescriptions: [{id: 'M1', resourceType: 'http://gedcomx.org/Image', about: 'https://example.com/a.jpg', artifactMetadata}],
+    persons: [person('P1', {sources: [{description: '#M1', qualifiers: [{name: 'http://gedcomx.org/RectangleRegion', value: '0.1,0.2,0.5,0.6'}]}]})],
+  })
+  let {g7, errors} = convert([gx([{width: 1000, height: 500}])], {validate: true})
+  assert.deepStrictEqual(errors, [])
+  assert.deepStrictEqual(lines(g7, /^[23] (CROP|TOP|LEFT|HEIGHT|WIDTH)/), ['2 CROP', '3 TOP 100', '3 LEFT 100', '3 HEIGHT 200', '3 WIDTH 400'])
+  let unknown = convert([gx()])
+  assert.deepStrictEqual(unknown.errors, ['Cannot crop https://example.com/a.jpg to region 0.1,0.2,0.5,0.6: the image size is unknown'])
+  assert.deepStrictEqual(lines(unknown.g7, /CROP/), [])
+})
+
+test('user-015: xrefs come from FamilySearch IDs, so the order of the input does not matter', () => {
+  let persons = [person('KWCB-XYZ'), person('KWCD-ABC'), person('L1')]
+  let relationships = [couple('KWCB-XYZ', 'KWCD-ABC', {id: 'R1'})]
+  let {g7} = convert([{persons, relationships}])
+  assert.strictEqual(convert([{persons: [...persons].reverse(), relationships}]).g7, g7)
+  assert.deepStrictEqual(lines(g7, /^0 @/), ['0 @I_KWCB_XYZ@ INDI', '0 @I_KWCD_ABC@ INDI', '0 @I_L1@ INDI', '0 @F_KWCB_XYZ_KWCD_ABC@ FAM'])
+  assert.deepStrictEqual(lines(convert([{persons, relationships}], {xrefs: 'counter'}).g7, /^0 (?!HEAD|TRLR)/),
+    ['0 @X1@ INDI', '0 @X2@ INDI', '0 INDI', '0 @X3@ FAM']) // only records pointed to need an xref
+})
+
+test('user-016: diffGX reports added, removed, and changed records, whatever the output options', () => {
+  let before = {persons: [person('P1'), person('P2'), person('P3')], relationships: [couple('P1', 'P2', {id: 'R1'})]}
+  let after = {persons: [person('P1', {names: [{nameForms: [{fullText: 'Anne'}]}]}), person('P2'), person('P4')], relationships: before.relationships}
+  let expected = [
+    {change: 'changed', tag: 'INDI', key: 'P1', label: 'Anne', details: [{path: 'NAME', old: 'Person P1'}, {path: 'NAME', new: 'Anne'}]},
+    {change: 'added', tag: 'INDI', key: 'P4', label: 'Person P4'},
+    {change: 'removed', tag: 'INDI', key: 'P3', label: 'Person P3'},
+  ]
+  for (let options of [undefined, {gedzip: true}, {tree: true}, {outputVersion: '5.5.1'}]) {
+    let errors = []
+    assert.deepStrictEqual(x.diffGX(before, after, (...msg) => errors.push(msg.join(' ')), options).changes, expected)
+    assert.deepStrictEqual(errors, [])
+  }
+  let {gedcom} = x.diffGX(before, after)
+  assert.deepStrictEqual(lines(gedcom, /^0 @|FAMS/), ['0 @I_P1@ INDI', '1 FAMS @VOID@', '0 @I_P4@ INDI']) // the unchanged FAM is left out
+  assert.deepStrictEqual(x.validateG7(gedcom, () => {}), [])
+})
+
+test('user-018: living persons can be stubbed or excluded, and restricted persons stripped', () => {
+  let gx = {
+    persons: [
+      person('A', {living: false}),
+      person('B', {living: true, facts: [{type: 'http://gedcomx.org/Birth', date: {formal: '+1990'}}]}),
+      person('C', {living: false, personInfo: [{visibleToAll: false}], notes: [{text: 'secret'}], facts: [{type: 'http://gedcomx.org/Birth', date: {formal: '+1900'}}]}),
+    ],
+    relationships: [couple('A', 'B', {id: 'R1', facts: [{type: 'http://gedcomx.org/Marriage', date: {formal: '+2010'}}]})],
+  }
+  let stub = convert([gx], {validate: true, living: 'stub'})
+  assert.deepStrictEqual(stub.errors, [])
+  assert.doesNotMatch(stub.g7, /\bB\b|1990|2010/) // neither the living person's ID nor the dates of them or their marriage
+  let living = /^0 @(I_[^@]+)@ INDI\n1 NAME Living$/m.exec(stub.g7)?.[1]
+  let fam = /^0 @(F_[^@]+)@ FAM$/m.exec(stub.g7)?.[1]
+  assert.strictEqual(record(stub.g7, living), 'INDI\n1 NAME Living\n1 FAMS @'+fam+'@')
+  assert.strictEqual(record(stub.g7, fam), 'FAM\n1 HUSB @I_A@\n1 WIFE @'+living+'@')
+  
+  let exclude = convert([gx], {validate: true, living: 'exclude'})
+  assert.deepStrictEqual(exclude.errors, [])
+  assert.deepStrictEqual(lines(exclude.g7, /^0 (?!HEAD|TRLR)|FAMS/), ['0 @I_A@ INDI', '0 @I_C@ INDI']) // a family of one is no family
+  
+  let strip = convert([gx], {validate: true, stripRestricted: true})
+  assert.deepStrictEqual(strip.errors, [])
+  assert.deepStrictEqual(lines(record(strip.g7, 'I_C'), /^1/), ['1 EXID C', '1 NAME Person C', '1 RESN PRIVACY, CONFIDENTIAL'])
+  assert.match(record(strip.g7, 'I_B'), /1 BIRT\n2 DATE 1990/)
+})
+
+test('user-019: a subtree has the root person and their ancestors or descendants, up to a number of generations', () => {
+  const parentChild = (p, c) => ({type: 'http://gedcomx.org/ParentChild', person1: {resource: '#'+p, resourceId: p}, person2: {resource: '#'+c, resourceId: c}})
+  let gx = {
+    persons: ['GF', 'F', 'M', 'C', 'S', 'K', 'X'].map(id => person(id)),
+    relationships: [
+      parentChild('GF', 'F'),
+      couple('F', 'M', {id: 'R1'}), parentChild('F', 'C'), parentChild('M', 'C'),
+      couple('C', 'S', {id: 'R2'}), parentChild('C', 'K'), parentChild('S', 'K'),
+    ],
+  }
+  const people = subtree => lines(convert([gx], {subtree}).g7, /^0 @I_/).map(l => l.slice(5, -6))
+  assert.deepStrictEqual(people({root: 'C', direction: 'ancestors'}), ['C', 'F', 'GF', 'M'])
+  assert.deepStrictEqual(people({root: 'C', direction: 'ancestors', generations: 2}), ['C', 'F', 'M'])
+  assert.deepStrictEqual(people({root: 'C', direction: 'descendants'}), ['C', 'K', 'S']) // with their spouses
+  assert.deepStrictEqual(people({root: 'C'}), ['C', 'F', 'GF', 'K', 'M', 'S']) // not X, who is not connected
+  let {g7, errors} = convert([gx], {validate: true, subtree: {root: 'C', direction: 'ancestors', generations: 2}})
+  assert.deepStrictEqual(errors, [])
+  assert.doesNotMatch(g7, /@I_GF@|@I_K@|@F_C_S@/) // no pointers to those left out
+})
+
+test('user-020: GEDCOM7To551 downgrades what 5.5.1 lacks and gives every record an xref', () => {
+  let errors = []
+  let g551 = x.GEDCOM7To551(dataset(
+    '0 @I1@ INDI', '1 NAME Ann', '1 EXID P1', '2 TYPE https://gedcom.io/exid-type/FamilySearch-PersonId', '1 UID 0f1e2d3c-4b5a-6978-8796-a5b4c3d2e1f0',
+    '1 BIRT', '2 DATE ABT 1950', '3 PHRASE about 1950', '1 NO DEAT', '1 NOTE '+'x'.repeat(300),
+    '0 INDI', '1 NAME Bo',
+  ), (...msg) => errors.push(msg.join(' ')))
+  assert.deepStrictEqual(errors, [])
+  assert.deepStrictEqual(lines(g551, /^1 (GEDC|CHAR)|^2 VERS/), ['1 GEDC', '2 VERS 5.5.1', '1 CHAR UTF-8'])
+  assert.strictEqual(record(g551, 'I1'), [
+    'INDI', '1 NAME Ann', '1 REFN P1', '2 TYPE FamilySearch-PersonId', '1 _UID 0f1e2d3c-4b5a-6978-8796-a5b4c3d2e1f0',
+    '1 BIRT', '2 DATE ABT 1950', '2 NOTE Date: about 1950', '1 NOTE No DEAT', '1 NOTE '+'x'.repeat(248), '2 CONC '+'x'.repeat(52),
+  ].join('\n'))
+  assert.deepStrictEqual(lines(g551, /^0 .* INDI/), ['0 @I1@ INDI', '0 @X1@ INDI'])
+})
+
+test('user-020: options.outputVersion 5.5.1 converts gx to GEDCOM 5.5.1', () => {
+  let {g7, errors} = convert([{persons: [person('P1')]}], {outputVersion: '5.5.1'})
+  assert.deepStrictEqual(errors, [])
+  assert.match(g7, /^2 VERS 5.5.1$/m)
+  assert.deepStrictEqual(lines(record(g7, 'I_P1'), /^1/), ['1 REFN P1', '1 NAME Person P1'])
+})
+
+/** the entries of a zip file whose entries are stored, not compressed, by name */
+const unzip = bytes => {
+  let view = new DataView(bytes.buffer, bytes.byteOffset), entries = {}, at = 0
+  while (view.getUint32(at, true) == 0x04034b50) {
+    let size = view.getUint32(at+18, true), nameLength = view.getUint16(at+26, true), extra = view.getUint16(at+28, true)
+    let name = new TextDecoder().decode(bytes.subarray(at+30, at+30+nameLength))
+    entries[name] = bytes.subarray(at+30+nameLength+extra, at+30+nameLength+extra+size)
+    at += 30+nameLength+extra+size
+  }
+  return entries
+}
+
+test('user-021: GEDZIP output stores data: URI and caller-supplied media in the archive', () => {
+  let gx = {
+    persons: [person('P1', {sources: [{description: '#M1'}, {description: '#M2'}, {description: '#M3'}]})],
+    sourceDescriptions: [
+      {id: 'M1', resourceType: 'http://gedcomx.org/DigitalArtifact', about: 'data:text/plain,Hello%2C%20world'},
+      {id: 'M2', resourceType: 'http://gedcomx.org/Image', about: 'https://example.com/photos/a%20b.jpg?size=full'},
+      {id: 'M3', resourceType: 'http://gedcomx.org/Image', about: 'https://example.com/elsewhere.jpg'},
+    ],
+  }
+  let errors = []
+  let gdz = x.GEDCOMXTo7(gx, (...msg) => errors.push(msg.join(' ')), {gedzip: true, media: {'https://example.com/photos/a%20b.jpg?size=full': new Uint8Array([1, 2, 3])}})
+  assert.deepStrictEqual(errors, [])
+  assert.ok(gdz instanceof Uint8Array)
+  let entries = unzip(gdz)
+  assert.deepStrictEqual(Object.keys(entries), ['gedcom.ged', 'media/file.txt', 'media/a_b.jpg'])
+  assert.strictEqual(new TextDecoder().decode(entries['media/file.txt']), 'Hello, world')
+  assert.deepStrictEqual([...entries['media/a_b.jpg']], [1, 2, 3])
+  assert.deepStrictEqual(lines(new TextDecoder().decode(entries['gedcom.ged']), /FILE/),
+    ['1 FILE media/file.txt', '1 FILE media/a_b.jpg', '1 FILE https://example.com/elsewhere.jpg']) // media not fetched stay where they are
+})
+
+test('user-022: shared note text, discussions, and story memories become SNOTE records', () => {
+  let {g7, errors} = convert([{
+    persons: [
+      person('P1', {notes: [{text: 'Same note', lang: 'en'}, {text: '<p>Rich <b>note</b></p>'}],
+        'discussion-references': [{resource: 'https://familysearch.org/platform/discussions/discussions/dis-1'}]}),
+      person('P2', {notes: [{text: 'Same note', lang: 'en'}], sources: [{description: '#ST1'}]}),
+    ],
+    discussions: [{id: 'dis-1', title: 'Birth year?', details: 'Is it 1950 or 1951?', contributor: {resourceId: 'A1'}, created: 1600000000000,
+      comments: [{text: '1950 per register', created: 1600100000000, contributor: {resourceId: 'A1'}}]}],
+    sourceDescriptions: [{id: 'ST1', resourceType: 'http://gedcomx.org/DigitalArtifact', about: 'https://example.com/story', mediaType: 'text/markdown',
+      artifactMetadata: [{artifactType: 'STORY'}], titles: [{value: 'Grandma'}], descriptions: [{value: 'She *loved* bread', lang: 'en'}]}],
+    agents: [{id: 'A1', names: [{value: 'Jane Researcher'}]}],
+  }], {validate: true, sharedNotes: true})
+  assert.deepStrictEqual(errors, [])
+  let shared = /^1 SNOTE @(N_[^@]+)@$/m.exec(record(g7, 'I_P1'))[1]
+  assert.deepStrictEqual(lines(record(g7, 'I_P1'), /NOTE|MIME/), ['1 SNOTE @'+shared+'@', '1 NOTE <p>Rich <b>note</b></p>', '2 MIME text/html', '1 SNOTE @N_DIS_1@'])
+  assert.deepStrictEqual(lines(record(g7, 'I_P2'), /NOTE/), ['1 SNOTE @N_ST1@', '1 SNOTE @'+shared+'@'])
+  assert.strictEqual(record(g7, shared), 'SNOTE Same note\n1 LANG en')
+  assert.deepStrictEqual(lines(record(g7, 'N_DIS_1'), /^(SNOTE|1 (CONT|_ATTR|CREA))/), [
+    'SNOTE Birth year?', '1 CONT', '1 CONT Is it 1950 or 1951?', '1 CONT', '1 CONT Comment by Jane Researcher on 2020-09-14:', '1 CONT 1950 per register',
+    '1 _ATTR @U_A1@', '1 CREA',
+  ])
+  assert.strictEqual(record(g7, 'N_ST1'), 'SNOTE Grandma:\n1 CONT\n1 CONT She *loved* bread\n1 MIME text/markdown\n1 LANG en')
+})
+
+test('user-023: ordinances become LDS ordinance structures, with sealings pointing at existing families', () => {
+  const lds = s => 'http://lds.org/'+s
+  const participant = (type, id) => ({type: lds(type), participant: {resourceId: id}})
+  const parentChild = (p, c) => ({type: 'http://gedcomx.org/ParentChild', person1: {resource: '#'+p, resourceId: p}, person2: {resource: '#'+c, resourceId: c}})
+  let {g7, errors} = convert([{
+    persons: [
+      person('F', {ordinances: [{type: lds('SealingToSpouse'), status: lds('Completed'), statusDate: {formal: '+1971-03-04'}, participants: [participant('Spouse', 'M')]}]}),
+      person('M'),
+      person('C', {ordinances: [
+        {type: lds('Baptism'), status: lds('Completed'), date: {formal: '+1990-05-02'}, templeCode: 'SLAKE', statusDate: 650000000000},
+        {type: lds('Endowment'), status: lds('Ready'), templeCode: 'PROVO'},
+        {type: lds('SealingChildToParents'), status: lds('Completed'), statusDate: {formal: '+1995'}, participants: [participant('Father', 'F'), participant('Mother', 'M')]},
+        {type: lds('SealingChildToParents'), status: lds('Completed'), participants: [participant('Father', 'X')]},
+      ]}),
+    ],
+    relationships: [couple('F', 'M', {id: 'R1'}), parentChild('F', 'C'), parentChild('M', 'C')],
+  }], {validate: true})
+  assert.deepStrictEqual(errors, ['http://lds.org/SealingChildToParents of C names parents X who are not their parents in any family'])
+  assert.deepStrictEqual(lines(record(g7, 'I_C'), /^[1-4] (BAPL|ENDL|SLGC|DATE|TIME|TEMP|STAT|_PHRASE|FAMC @F_F_M@)/).slice(1), [
+    '1 BAPL', '2 DATE 2 MAY 1990', '2 TEMP SLAKE', '2 STAT COMPLETED', '3 DATE 7 AUG 1990', '4 TIME 03:33:20.000Z',
+    '1 ENDL', '2 TEMP PROVO', '2 _PHRASE Ready',
+    '1 SLGC', '2 FAMC @F_F_M@', '2 _PHRASE Completed', // a STAT needs an exact date
+  ])
+  assert.deepStrictEqual(lines(record(g7, 'F_F_M'), /^[1-3] (SLGS|STAT|DATE)/), ['1 SLGS', '2 STAT COMPLETED', '3 DATE 4 MAR 1971'])
+  assert.strictEqual(lines(g7, /^0 .* FAM$/).length, 1) // sealings make no families of their own
+})
+
+test('user-024: identifiers and links become EXID, UID, REFN, and _WWW, and fact ids UID or _EXID', () => {
+  let uuid = '0f1e2d3c-4b5a-6978-8796-a5b4c3d2e1f0'
+  let {g7, errors} = convert([{persons: [person('P1', {
+    identifiers: {
+      'http://gedcomx.org/Primary': ['https://familysearch.org/ark:/61903/4:1:P1'],
+      'http://gedcomx.org/Deprecated': ['https://familysearch.org/ark:/61903/4:1:OLD-1'],
+      'http://gedcomx.org/Persistent': ['urn:uuid:'+uuid.toUpperCase()],
+      'http://example.com/CustomId': ['c9'],
+    },
+    links: {person: {href: 'https://example.com/P1'}},
+    facts: [{id: uuid, type: 'http://gedcomx.org/Birth'}, {id: 'f2', type: 'http://gedcomx.org/Death'}],
+  })]}], {validate: true})
+  assert.deepStrictEqual(errors, [])
+  assert.strictEqual(record(g7, 'I_P1'), [
+    'INDI', '1 EXID P1', '2 TYPE https://gedcom.io/exid-type/FamilySearch-PersonId',
+    '1 _WWW https://example.com/P1',
+    '1 EXID https://familysearch.org/ark:/61903/4:1:P1', '2 TYPE http://www.w3.org/2001/XMLSchema#anyURI',
+    '1 EXID OLD-1', '2 TYPE https://gedcom.io/exid-type/FamilySearch-PersonId', // a person merged into this one
+    '1 UID '+uuid,
+    '1 REFN c9', '2 TYPE Custom Id',
+    '1 NAME Person P1',
+    '1 BIRT', '2 UID '+uuid,
+    '1 DEAT', '2 _EXID f2', '3 TYPE https://gedcom.io/exid-type/FamilySearch-FactId',
+  ].join('\n'))
+})
+
+test('user-025: options.tree gives records to change and write with writeG7', () => {
+  let records = x.GEDCOMXTo7({persons: [person('P1')]}, () => {}, {tree: true})
+  assert.deepStrictEqual([records[0].tag, records[1].id, records.at(-1).tag], ['HEAD', 'I_P1', 'TRLR'])
+  let subm = {tag: 'SUBM', subs: [{tag: 'NAME', payload: 'Jane Researcher'}]}
+  records[0].subs.push({tag: 'SOUR', payload: 'MyApp'}, {tag: 'SUBM', payload: subm})
+  records.splice(-1, 0, subm)
+  let g7 = x.writeG7(records, {lineEnding: '\r\n'})
+  assert.deepStrictEqual(lines(g7, /SOUR|SUBM|NAME J/), ['1 SOUR MyApp', '1 SUBM @X1@', '0 @X1@ SUBM', '1 NAME Jane Researcher'])
+  assert.ok(g7.endsWith('\r\n0 TRLR\r\n'))
+  assert.deepStrictEqual(x.validateG7(g7, () => {}), [])
+})
+
+test('user-025: parseG7 and writeG7 round trip, keeping @VOID@ pointers and escaping text that starts with @', () => {
+  let g7 = dataset('0 @I1@ INDI', '1 FAMS @VOID@', '1 FAMC @F1@', '1 NOTE @@home', '2 CONT second line', '0 @F1@ FAM', '1 CHIL @I1@')
+  assert.strictEqual(x.writeG7(x.parseG7(g7)), g7)
+  assert.deepStrictEqual(x.GEDCOM7ToJSON(g7)[1], {tag: 'INDI', xref: 'I1', subs: [
+    {tag: 'FAMS', payload: '@VOID@'}, {tag: 'FAMC', payload: '@F1@'}, {tag: 'NOTE', payload: '@home\nsecond line'},
+  ]})
+})